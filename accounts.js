@@ -0,0 +1,42 @@
+const bcrypt = require("bcrypt");
+const crypto = require("crypto");
+
+// Account rules shared by the server and the create-admin command, so the two cannot drift apart
+const USER_ROLES = ["admin", "staff", "customer"];
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const PASSWORD_HASH_ROUNDS = 10;
+
+// Username/password/role rules for every new account; returns the message for the first broken rule, or null
+function validateAccountFields({ username, password, role }) {
+    if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+        return "Username must be 3-32 characters: letters, digits, '.', '_' or '-'";
+    }
+    if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (role !== undefined && !USER_ROLES.includes(role)) {
+        return `Invalid role: "${role}". Must be one of: ${USER_ROLES.join(", ")}`;
+    }
+    return null;
+}
+
+function hashPassword(password) {
+    return bcrypt.hash(password, PASSWORD_HASH_ROUNDS);
+}
+
+// The record users.json stores for a new account
+function buildUserRecord({ username, passwordHash, role }) {
+    const now = new Date().toISOString();
+    return {
+        id: crypto.randomUUID(),
+        username,
+        passwordHash,
+        role,
+        disabled: false,
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+module.exports = { USER_ROLES, MIN_PASSWORD_LENGTH, validateAccountFields, hashPassword, buildUserRecord };
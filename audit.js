@@ -0,0 +1,64 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+// Bumped on every write, so it would show up in every diff without saying anything
+const IGNORED_FIELDS = ["version"];
+
+// Field-level differences between two versions of a record: { field: { from, to } }.
+// A missing side (creation, deletion) counts as null.
+function diffRecords(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = {};
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+        const from = before && before[field] !== undefined ? before[field] : null;
+        const to = after && after[field] !== undefined ? after[field] : null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from, to };
+        }
+    }
+    return changes;
+}
+
+// Append-only JSONL audit log: one entry per line, lines are never rewritten
+function createAuditLog({ file }) {
+    // Appends go out one at a time so concurrent requests never interleave lines
+    let pending = Promise.resolve();
+
+    return {
+        async init() {
+            try {
+                await fs.access(file);
+            } catch {
+                await fs.writeFile(file, "");
+                console.log(`Initialized empty ${path.basename(file)}`);
+            }
+        },
+
+        record(entry) {
+            const line = { id: crypto.randomUUID(), at: new Date().toISOString(), ...entry };
+            const write = pending.then(() => fs.appendFile(file, JSON.stringify(line) + "\n"));
+            pending = write.catch(() => {});
+            return write.then(() => line);
+        },
+
+        // All entries oldest first; a damaged line is skipped rather than hiding the rest of the log
+        async read() {
+            await pending;
+            const content = await fs.readFile(file, "utf8");
+            const entries = [];
+            content.split("\n").forEach((line, index) => {
+                if (!line.trim()) return;
+                try {
+                    entries.push(JSON.parse(line));
+                } catch {
+                    console.warn(`Skipping unreadable audit log line ${index + 1}`);
+                }
+            });
+            return entries;
+        }
+    };
+}
+
+module.exports = { createAuditLog, diffRecords };
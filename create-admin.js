@@ -0,0 +1,48 @@
+// Bootstrap command: creates an admin account in users.json.
+// Usage: npm run create-admin -- <username> <password>
+const fs = require("fs").promises;
+const path = require("path");
+const lockfile = require("proper-lockfile");
+const { validateAccountFields, hashPassword, buildUserRecord } = require("./accounts");
+
+const USERS_FILE = path.join(__dirname, "users.json");
+
+async function main() {
+    const [username, password] = process.argv.slice(2);
+    if (!username || !password) {
+        console.error("Usage: npm run create-admin -- <username> <password>");
+        process.exit(1);
+    }
+    const validationError = validateAccountFields({ username, password, role: "admin" });
+    if (validationError) {
+        console.error(validationError);
+        process.exit(1);
+    }
+
+    try {
+        await fs.access(USERS_FILE);
+    } catch {
+        await fs.writeFile(USERS_FILE, JSON.stringify([], null, 2));
+    }
+
+    const passwordHash = await hashPassword(password);
+    const release = await lockfile.lock(USERS_FILE, { retries: 10 });
+    try {
+        const users = JSON.parse(await fs.readFile(USERS_FILE, "utf8"));
+        if (users.some(u => u.username.toLowerCase() === username.toLowerCase())) {
+            console.error(`Username "${username}" is already taken`);
+            process.exitCode = 1;
+            return;
+        }
+        users.push(buildUserRecord({ username, passwordHash, role: "admin" }));
+        await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 2));
+        console.log(`Admin "${username}" created`);
+    } finally {
+        await release();
+    }
+}
+
+main().catch(err => {
+    console.error("Error creating admin:", err);
+    process.exit(1);
+});
@@ -0,0 +1,73 @@
+// Server-Sent Events hub. Events get increasing numeric IDs and the most recent ones are kept in
+// memory, so a client that reconnects with Last-Event-ID gets what it missed. IDs restart with the
+// server; a client whose ID is unknown (restart, or too far behind) gets a "reset" event and should reload.
+// At most maxClients streams are open at once, and maxClientsPerIp from any one address.
+function createEventHub({ bufferSize, heartbeatMs, maxClients, maxClientsPerIp }) {
+    const buffer = [];
+    const clients = new Set();
+    let lastId = 0;
+
+    function send(res, event) {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    }
+
+    return {
+        // match lists what subscribers filter on ({ productIds, brands }); it is not sent to clients
+        publish(type, data, match) {
+            const event = { id: ++lastId, type, data, match };
+            buffer.push(event);
+            if (buffer.length > bufferSize) {
+                buffer.shift();
+            }
+            for (const client of clients) {
+                if (client.accepts(event)) {
+                    send(client.res, event);
+                }
+            }
+            return event;
+        },
+
+        // Starts an event stream on res. accepts(event) picks the events this client wants.
+        // Returns { error, status } without touching res when the stream limits are reached.
+        subscribe(req, res, { accepts, lastEventId }) {
+            if (clients.size >= maxClients) {
+                return { error: "Too many open event streams; try again later", status: 503 };
+            }
+            if ([...clients].filter(client => client.ip === req.ip).length >= maxClientsPerIp) {
+                return { error: `At most ${maxClientsPerIp} event streams per client`, status: 429 };
+            }
+            res.writeHead(200, {
+                "Content-Type": "text/event-stream",
+                "Cache-Control": "no-cache",
+                Connection: "keep-alive"
+            });
+            res.write("retry: 3000\n\n");
+
+            if (lastEventId !== undefined) {
+                const oldest = buffer.length > 0 ? buffer[0].id : lastId + 1;
+                if (isNaN(lastEventId) || lastEventId > lastId || lastEventId < oldest - 1) {
+                    // Carries the current ID so the client's next reconnect resumes from here
+                    res.write(`id: ${lastId}\nevent: reset\ndata: ${JSON.stringify({ lastEventId: lastId })}\n\n`);
+                } else {
+                    buffer.filter(event => event.id > lastEventId && accepts(event)).forEach(event => send(res, event));
+                }
+            }
+
+            const client = { res, accepts, ip: req.ip };
+            clients.add(client);
+            // Comment lines keep proxies from closing an idle connection
+            const heartbeat = setInterval(() => res.write(": ping\n\n"), heartbeatMs);
+            req.on("close", () => {
+                clearInterval(heartbeat);
+                clients.delete(client);
+            });
+            return null;
+        },
+
+        get clientCount() {
+            return clients.size;
+        }
+    };
+}
+
+module.exports = { createEventHub };
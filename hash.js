@@ -1,4 +0,0 @@
-const bcrypt = require("bcrypt");
-bcrypt.hash("Admin3040", 10, (err, hash) => {
-    console.log(hash);
-});
\ No newline at end of file
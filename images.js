@@ -0,0 +1,187 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const lockfile = require("proper-lockfile");
+const sharp = require("sharp");
+
+// WebP variants generated for every upload; widths are upper bounds, small images are not enlarged
+const IMAGE_VARIANTS = {
+    thumbnail: 200,
+    medium: 600,
+    full: 1600
+};
+const HASH_FILENAME = /^([a-f0-9]{64})\.[a-z0-9]+$/;
+
+// An upload that passed the type check but cannot be decoded as an image
+class InvalidImageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "InvalidImageError";
+        this.status = 400;
+    }
+}
+
+// Content-addressed image storage: files are named by the SHA-256 of their bytes, and an index
+// (hash → file, reference count) finds duplicates without reading the uploads folder again.
+function createImageStore({ uploadsDir, indexFile, publicPath }) {
+    const urlFor = filename => `${publicPath}/${filename}`;
+    const variantFilename = (hash, variant) => `${hash}-${variant}.webp`;
+
+    async function withIndex(callback) {
+        const release = await lockfile.lock(indexFile, { retries: 10 });
+        try {
+            const index = JSON.parse(await fs.readFile(indexFile, "utf8"));
+            const result = await callback(index);
+            await fs.writeFile(indexFile, JSON.stringify(index, null, 2));
+            return result;
+        } finally {
+            await release();
+        }
+    }
+
+    function hashFromUrl(imageUrl) {
+        if (typeof imageUrl !== "string" || !imageUrl.startsWith(`${publicPath}/`)) {
+            return null;
+        }
+        const match = HASH_FILENAME.exec(path.basename(imageUrl));
+        return match ? match[1] : null;
+    }
+
+    // Variants are rendered in memory first, so an image sharp cannot decode leaves nothing on disk
+    async function writeFiles(hash, buffer, ext) {
+        const rendered = [];
+        try {
+            for (const [variant, width] of Object.entries(IMAGE_VARIANTS)) {
+                const data = await sharp(buffer)
+                    .rotate()
+                    .resize({ width, withoutEnlargement: true })
+                    .webp({ quality: 80 })
+                    .toBuffer();
+                rendered.push([variantFilename(hash, variant), data]);
+            }
+        } catch (err) {
+            throw new InvalidImageError(`Could not read the image: ${err.message}`);
+        }
+        const filename = `${hash}${ext}`;
+        const written = [];
+        try {
+            for (const [name, data] of [[filename, buffer], ...rendered]) {
+                await fs.writeFile(path.join(uploadsDir, name), data);
+                written.push(name);
+            }
+        } catch (err) {
+            for (const name of written) {
+                await fs.unlink(path.join(uploadsDir, name)).catch(() => {});
+            }
+            throw err;
+        }
+        return filename;
+    }
+
+    async function removeFiles(hash, entry) {
+        const filenames = [entry.file, ...Object.keys(IMAGE_VARIANTS).map(variant => variantFilename(hash, variant))];
+        for (const filename of filenames) {
+            await fs.unlink(path.join(uploadsDir, filename)).catch(err => console.warn("Failed to delete image:", err.message));
+        }
+    }
+
+    return {
+        async init() {
+            await fs.mkdir(uploadsDir, { recursive: true });
+            try {
+                await fs.access(indexFile);
+            } catch {
+                await fs.writeFile(indexFile, JSON.stringify({}, null, 2));
+                console.log(`Initialized empty ${path.basename(indexFile)}`);
+            }
+        },
+
+        // Stores an upload (or finds the identical one already stored) and takes a reference to it
+        async acquire(buffer, originalName) {
+            const hash = crypto.createHash("sha256").update(buffer).digest("hex");
+            return withIndex(async index => {
+                if (index[hash]) {
+                    console.log("Reusing existing image:", index[hash].file);
+                    index[hash].refCount += 1;
+                } else {
+                    const ext = path.extname(originalName).toLowerCase() === ".png" ? ".png" : ".jpg";
+                    const file = await writeFiles(hash, buffer, ext);
+                    console.log("Stored new image:", file);
+                    index[hash] = { file, refCount: 1, createdAt: new Date().toISOString() };
+                }
+                return urlFor(index[hash].file);
+            });
+        },
+
+        // Another product now points at an image that is already stored. An image whose files were put
+        // back after its last reference went (a snapshot restore) is taken into the index again.
+        async retain(imageUrl) {
+            const hash = hashFromUrl(imageUrl);
+            if (!hash) return;
+            const file = path.basename(imageUrl);
+            await withIndex(async index => {
+                if (index[hash]) {
+                    index[hash].refCount += 1;
+                } else if (await fs.access(path.join(uploadsDir, file)).then(() => true, () => false)) {
+                    index[hash] = { file, refCount: 1, createdAt: new Date().toISOString() };
+                }
+            });
+        },
+
+        // Drops a reference; the files go once nothing uses them. Images from before the index are left alone.
+        async release(imageUrl) {
+            const hash = hashFromUrl(imageUrl);
+            if (!hash) {
+                if (imageUrl) console.log("Keeping image not managed by the image index:", imageUrl);
+                return;
+            }
+            await withIndex(async index => {
+                const entry = index[hash];
+                if (!entry) return;
+                entry.refCount -= 1;
+                if (entry.refCount <= 0) {
+                    delete index[hash];
+                    await removeFiles(hash, entry);
+                    console.log("Deleted unused image:", entry.file);
+                }
+            });
+        },
+
+        // Whether the original file behind a URL is still on disk; rollbacks may point at a released image
+        async exists(imageUrl) {
+            if (typeof imageUrl !== "string" || !imageUrl.startsWith(`${publicPath}/`)) {
+                return false;
+            }
+            try {
+                await fs.access(path.join(uploadsDir, path.basename(imageUrl)));
+                return true;
+            } catch {
+                return false;
+            }
+        },
+
+        // Filenames in the uploads folder behind a URL: the original and, for indexed images, its WebP variants
+        filesFor(imageUrl) {
+            if (typeof imageUrl !== "string" || !imageUrl.startsWith(`${publicPath}/`)) {
+                return [];
+            }
+            const hash = hashFromUrl(imageUrl);
+            const variants = hash ? Object.keys(IMAGE_VARIANTS).map(variant => variantFilename(hash, variant)) : [];
+            return [path.basename(imageUrl), ...variants];
+        },
+
+        // URLs of the WebP variants; older images without variants fall back to the original
+        variantsFor(imageUrl) {
+            const hash = hashFromUrl(imageUrl);
+            return Object.fromEntries([
+                ["original", imageUrl || null],
+                ...Object.keys(IMAGE_VARIANTS).map(variant => [
+                    variant,
+                    hash ? urlFor(variantFilename(hash, variant)) : imageUrl || null
+                ])
+            ]);
+        }
+    };
+}
+
+module.exports = { createImageStore, IMAGE_VARIANTS, InvalidImageError };
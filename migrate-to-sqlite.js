@@ -0,0 +1,40 @@
+// Migration command: copies every storage collection (products.json, carts.json and the others listed in storage/index.js) into the SQLite database
+// used when STORAGE_BACKEND=sqlite (SQLITE_FILE, default catalogue.sqlite).
+// Usage: npm run migrate:sqlite [-- --force]   (--force replaces records already in SQLite)
+require("dotenv").config();
+const { createStorage, COLLECTIONS } = require("./storage");
+
+async function main() {
+    const force = process.argv.includes("--force");
+    const source = createStorage({ backend: "json", dataDir: __dirname });
+    const target = createStorage({ backend: "sqlite", dataDir: __dirname });
+    const names = Object.keys(COLLECTIONS);
+
+    const records = {};
+    for (const name of names) {
+        records[name] = await source[name].list();
+    }
+
+    await target.init();
+    try {
+        // One transaction, so a failed migration leaves SQLite untouched
+        await target.transaction(names, async tx => {
+            for (const name of names) {
+                const existing = tx[name].list();
+                if (existing.length > 0 && !force) {
+                    throw new Error(`SQLite already holds ${existing.length} ${name}; rerun with --force to replace them`);
+                }
+                existing.forEach(record => tx[name].remove(record.id));
+                records[name].forEach(record => tx[name].insert(record));
+            }
+        });
+        names.forEach(name => console.log(`Migrated ${records[name].length} ${name}`));
+    } finally {
+        await target.close();
+    }
+}
+
+main().catch(err => {
+    console.error("Migration failed:", err.message);
+    process.exit(1);
+});
@@ -0,0 +1,73 @@
+// Builds the OpenAPI document served at /api/docs from the routes registered on the Express router,
+// so a new route shows up without anyone editing a spec by hand. Route middleware tells us about auth:
+// `auth.required` / `auth.optional` are the token middlewares, and role checks carry a `roles` property.
+// `operations` adds summaries, query parameters, request bodies and responses, keyed by "METHOD /openapi/{path}".
+function buildOpenApiDocument({ router, info, auth, components, operations }) {
+    const paths = {};
+    for (const layer of router.stack) {
+        if (!layer.route) continue;
+        const { route } = layer;
+        const openApiPath = route.path.replace(/:(\w+)/g, "{$1}");
+        const parameters = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+            name,
+            in: "path",
+            required: true,
+            schema: { type: "string" }
+        }));
+        const handlers = route.stack.map(l => l.handle);
+        const roles = handlers.filter(h => Array.isArray(h.roles)).flatMap(h => h.roles);
+        const tag = route.path.split("/")[2] || "default";
+
+        for (const method of Object.keys(route.methods)) {
+            const key = `${method.toUpperCase()} ${openApiPath}`;
+            const documented = operations[key] || {};
+            const description = [
+                documented.description,
+                roles.length > 0 ? `Requires role: ${roles.join(" or ")}.` : null,
+                handlers.includes(auth.optional) ? "Works for guests; a token is used when sent." : null
+            ].filter(Boolean).join(" ");
+            paths[openApiPath] = paths[openApiPath] || {};
+            paths[openApiPath][method] = {
+                operationId: `${method}${openApiPath.replace(/[{}]/g, "").replace(/[^A-Za-z0-9]+(.)?/g, (_, c) => (c || "").toUpperCase())}`,
+                tags: [tag],
+                summary: documented.summary || key,
+                ...(description ? { description } : {}),
+                ...(parameters.length > 0 || documented.parameters ? { parameters: [...parameters, ...(documented.parameters || [])] } : {}),
+                ...(handlers.includes(auth.required) ? { security: [{ bearerAuth: [] }] } : {}),
+                ...(handlers.includes(auth.optional) ? { security: [{}, { bearerAuth: [] }] } : {}),
+                ...(documented.requestBody ? { requestBody: documented.requestBody } : {}),
+                responses: {
+                    ...(documented.responses || { 200: { description: "Success" } }),
+                    default: { description: "Error", content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } }
+                }
+            };
+        }
+    }
+
+    return {
+        openapi: "3.0.3",
+        info,
+        paths,
+        components: {
+            securitySchemes: { bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" } },
+            ...components,
+            schemas: {
+                Error: {
+                    type: "object",
+                    properties: {
+                        message: { type: "string" },
+                        errors: {
+                            type: "array",
+                            description: "Field-level validation errors",
+                            items: { type: "object", properties: { field: { type: "string" }, message: { type: "string" } } }
+                        }
+                    },
+                    required: ["message"]
+                },
+                ...(components.schemas || {})
+            }
+        }
+    };
+}
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,112 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+const REQUEST_ID_HEADER = "X-Request-Id";
+
+// One JSON line per request, rotated by size: requests.jsonl → requests.jsonl.1 → ... → requests.jsonl.<maxFiles>.
+// Never the query string, body or headers, so tokens and passwords stay out. Matched requests log only their
+// route pattern: a raw path such as /api/carts/<id> holds the guest cart or order ID that grants access to it.
+function createRequestLog({ file, maxBytes, maxFiles }) {
+    // Appends (and rotations) go out one at a time so lines never interleave
+    let pending = Promise.resolve();
+    let size = 0;
+
+    const rotatedFile = n => `${file}.${n}`;
+
+    async function rotate() {
+        await fs.rm(rotatedFile(maxFiles), { force: true });
+        for (let n = maxFiles - 1; n >= 1; n--) {
+            await fs.rename(rotatedFile(n), rotatedFile(n + 1)).catch(err => {
+                if (err.code !== "ENOENT") throw err;
+            });
+        }
+        await fs.rename(file, rotatedFile(1));
+        await fs.writeFile(file, "");
+        size = 0;
+    }
+
+    async function append(entry) {
+        const line = JSON.stringify(entry) + "\n";
+        const bytes = Buffer.byteLength(line);
+        if (size > 0 && size + bytes > maxBytes) {
+            await rotate();
+        }
+        await fs.appendFile(file, line);
+        size += bytes;
+    }
+
+    async function readLines(target) {
+        let content;
+        try {
+            content = await fs.readFile(target, "utf8");
+        } catch (err) {
+            if (err.code === "ENOENT") return [];
+            throw err;
+        }
+        const entries = [];
+        for (const line of content.split("\n")) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch {
+                // A line cut off by a crash mid-write; the rest of the file is still good
+            }
+        }
+        return entries;
+    }
+
+    return {
+        async init() {
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            try {
+                size = (await fs.stat(file)).size;
+            } catch {
+                await fs.writeFile(file, "");
+                console.log(`Initialized empty ${path.basename(file)}`);
+            }
+        },
+
+        // Tags each request with an ID (echoed in X-Request-Id) and logs it once the response is sent.
+        // userId is read at that point, so it is set for any route that ran verifyToken or optionalToken.
+        middleware() {
+            return (req, res, next) => {
+                const startedAt = process.hrtime.bigint();
+                // Taken now: by the time the response finishes, Express may have reset path and baseUrl
+                const requestPath = req.path;
+                req.id = crypto.randomUUID();
+                res.setHeader(REQUEST_ID_HEADER, req.id);
+                res.on("finish", () => {
+                    const entry = {
+                        id: req.id,
+                        at: new Date().toISOString(),
+                        method: req.method,
+                        // The matched pattern (/api/products/:id) groups requests; only unmatched ones keep their path
+                        route: req.route ? req.route.path : null,
+                        path: req.route ? null : requestPath,
+                        status: res.statusCode,
+                        latencyMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+                        userId: req.user ? req.user.userId : null
+                    };
+                    pending = pending.then(() => append(entry)).catch(err => {
+                        console.error("Error writing request log:", err.message);
+                    });
+                });
+                next();
+            };
+        },
+
+        // Entries from the current file and the rotated ones, newest first
+        async read() {
+            await pending;
+            const entries = [];
+            for (let n = maxFiles; n >= 1; n--) {
+                entries.push(...await readLines(rotatedFile(n)));
+            }
+            entries.push(...await readLines(file));
+            return entries.reverse();
+        }
+    };
+}
+
+module.exports = { createRequestLog, REQUEST_ID_HEADER };
@@ -0,0 +1,92 @@
+// Declarative field rules shared by validation and the OpenAPI document. A schema maps field names to
+// { type: "string" | "integer" | "number", required, default, minimum, exclusiveMinimum, list, description };
+// `list` names one of the allowed-value lists passed in at validation time (taxonomy names, say).
+
+const isBlank = value => value === null || String(value).trim() === "";
+
+// Form fields arrive as strings and JSON fields as numbers; both are accepted
+function checkField(name, rule, raw, lists) {
+    if (rule.type === "string") {
+        if (typeof raw !== "string" && typeof raw !== "number") {
+            return { error: `${name} must be a string` };
+        }
+        const value = String(raw).trim();
+        const allowed = rule.list && lists[rule.list];
+        if (allowed && !allowed.includes(value)) {
+            return { error: `Invalid ${name}: "${raw}". Must be one of: ${allowed.join(", ")}` };
+        }
+        return { value };
+    }
+
+    const value = typeof raw === "number" ? raw : Number(String(raw).trim());
+    if (rule.type === "integer" && !Number.isInteger(value)) {
+        return { error: `${name} must be a whole number` };
+    }
+    if (!Number.isFinite(value)) {
+        return { error: `${name} must be a number` };
+    }
+    if (rule.minimum !== undefined && value < rule.minimum) {
+        return { error: `${name} must be at least ${rule.minimum}` };
+    }
+    if (rule.exclusiveMinimum !== undefined && value <= rule.exclusiveMinimum) {
+        return { error: `${name} must be greater than ${rule.exclusiveMinimum}` };
+    }
+    return { value };
+}
+
+// Returns { fields } with the parsed values, or { errors: [{ field, message }] } listing every bad field.
+// Fields not in the schema are ignored. With partial (updates) only the fields present are checked and
+// returned; otherwise required fields must be there and missing optional ones take their default.
+function validateFields(schema, input, { partial = false, lists = {} } = {}) {
+    const fields = {};
+    const errors = [];
+    for (const [name, rule] of Object.entries(schema)) {
+        const raw = input[name];
+        if (raw === undefined || isBlank(raw)) {
+            if (partial && raw !== undefined) {
+                errors.push({ field: name, message: `${name} cannot be empty` });
+            } else if (!partial && rule.required) {
+                errors.push({ field: name, message: `${name} is required` });
+            } else if (!partial && rule.default !== undefined) {
+                fields[name] = rule.default;
+            }
+            continue;
+        }
+        const checked = checkField(name, rule, raw, lists);
+        if (checked.error) {
+            errors.push({ field: name, message: checked.error });
+        } else {
+            fields[name] = checked.value;
+        }
+    }
+    return errors.length > 0 ? { errors } : { fields };
+}
+
+// The schema restricted to some of its fields
+function pickFields(schema, names) {
+    return Object.fromEntries(names.map(name => [name, schema[name]]));
+}
+
+// Schema objects for OpenAPI 3.0 with the same rules; lists become enums. 3.0 writes an exclusive
+// minimum as minimum plus exclusiveMinimum: true, not as a number the way later JSON Schema does.
+function toJsonSchema(schema, { partial = false, lists = {} } = {}) {
+    const properties = {};
+    for (const [name, rule] of Object.entries(schema)) {
+        const property = { type: rule.type };
+        for (const key of ["minimum", "default", "description"]) {
+            if (rule[key] !== undefined) property[key] = rule[key];
+        }
+        if (rule.exclusiveMinimum !== undefined) {
+            property.minimum = rule.exclusiveMinimum;
+            property.exclusiveMinimum = true;
+        }
+        if (rule.list && lists[rule.list]) {
+            property.enum = lists[rule.list];
+        }
+        properties[name] = property;
+    }
+    const required = partial ? [] : Object.keys(schema).filter(name => schema[name].required);
+    return { type: "object", properties, ...(required.length > 0 ? { required } : {}) };
+}
+
+module.exports = { validateFields, pickFields, toJsonSchema };
@@ -7,18 +7,139 @@ const fs = require("fs").promises;
 const path = require("path");
 const lockfile = require("proper-lockfile");
 const crypto = require("crypto");
+const { createStorage, StorageError, COLLECTIONS } = require("./storage");
+const { createImageStore } = require("./images");
+const { createAuditLog, diffRecords } = require("./audit");
+const { createRequestLog, REQUEST_ID_HEADER } = require("./request-log");
+const { createEventHub } = require("./events");
+const { validateFields, pickFields, toJsonSchema } = require("./schema");
+const { buildOpenApiDocument } = require("./openapi");
+const { createSnapshotStore, diffCollections } = require("./snapshots");
+const { USER_ROLES, MIN_PASSWORD_LENGTH, validateAccountFields, hashPassword, buildUserRecord } = require("./accounts");
+const ExcelJS = require("exceljs");
+const packageInfo = require("./package.json");
 require("dotenv").config();
 
 const app = express();
+const store = createStorage({ dataDir: __dirname });
 const PORT = process.env.PORT || 3000;
-const PRODUCTS_FILE = path.join(__dirname, "products.json");
-const UPLOADS_DIR = path.join(__dirname, "Uploads");
-const ALLOWED_BRANDS = ["Cartier", "Bvlgari", "Van Cleef & Arpels", "Chrome Hearts", "GKH Jewelry"];
-const ALLOWED_TYPES = ["Nhẫn", "Dây chuyền", "Vòng tay", "Vòng cổ", "Khuyên tai"];
-const ALLOWED_MATERIALS = ["18K Gold", "24K Gold", "925 Silver", "Platinum", "Diamond"];
+const ORDERS_FILE = path.join(__dirname, "orders.json");
+const USERS_FILE = path.join(__dirname, "users.json");
+const REFRESH_TOKENS_FILE = path.join(__dirname, "refresh-tokens.json");
+const REVOKED_TOKENS_FILE = path.join(__dirname, "revoked-tokens.json");
+const UPLOADS_DIR = path.join(__dirname, "uploads");
+const IMAGE_INDEX_FILE = path.join(__dirname, "image-index.json");
+const AUDIT_LOG_FILE = path.join(__dirname, "audit-log.jsonl");
+// JSON files kept outside the storage layer, by the names snapshots give them
+const FILE_STORES = { orders: ORDERS_FILE, users: USERS_FILE, "refresh-tokens": REFRESH_TOKENS_FILE, "revoked-tokens": REVOKED_TOKENS_FILE };
+// Rotation keeps up to REQUEST_LOG_MAX_FILES numbered copies beside requests.jsonl, so the log gets its own
+// logs/ folder instead of scattering them over the repo root
+const REQUEST_LOG_FILE = process.env.REQUEST_LOG_FILE || path.join(__dirname, "logs", "requests.jsonl");
+const REQUEST_LOG_MAX_BYTES = parseInt(process.env.REQUEST_LOG_MAX_BYTES) || 5 * 1024 * 1024;
+const REQUEST_LOG_MAX_FILES = parseInt(process.env.REQUEST_LOG_MAX_FILES) || 5;
+// /api/events needs no login, so open streams are capped overall and per client IP
+const EVENT_STREAM_MAX_CLIENTS = parseInt(process.env.EVENT_STREAM_MAX_CLIENTS) || 500;
+const EVENT_STREAM_MAX_CLIENTS_PER_IP = parseInt(process.env.EVENT_STREAM_MAX_CLIENTS_PER_IP) || 5;
+// Snapshots of the stored collections and their images. Retention keeps the newest SNAPSHOT_KEEP of each
+// reason (scheduled, startup, manual and every before-<operation> count separately, so the total can be
+// several times SNAPSHOT_KEEP), dropping any older than SNAPSHOT_MAX_AGE_DAYS; SNAPSHOT_INTERVAL_MINUTES=0
+// turns the schedule off.
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(__dirname, "snapshots");
+const SNAPSHOT_INTERVAL_MINUTES = process.env.SNAPSHOT_INTERVAL_MINUTES !== undefined ? parseInt(process.env.SNAPSHOT_INTERVAL_MINUTES) || 0 : 60;
+const SNAPSHOT_KEEP = parseInt(process.env.SNAPSHOT_KEEP) || 48;
+const SNAPSHOT_MAX_AGE_DAYS = parseInt(process.env.SNAPSHOT_MAX_AGE_DAYS) || 30;
+// What a snapshot holds: the storage collections, then the file-backed stores. Revoked access tokens are
+// matched by jti in diffs, and password and token hashes are never shown there. Accounts and tokens are
+// snapshotted for comparison only: restoring them would revive logged-out sessions, re-enable disabled
+// accounts and undo password changes.
+const SNAPSHOT_SOURCES = [...Object.keys(COLLECTIONS), ...Object.keys(FILE_STORES)];
+const SNAPSHOT_AUTH_SOURCES = ["users", "refresh-tokens", "revoked-tokens"];
+const RESTORABLE_SOURCES = SNAPSHOT_SOURCES.filter(name => !SNAPSHOT_AUTH_SOURCES.includes(name));
+const SNAPSHOT_DIFF_KEYS = { "revoked-tokens": "jti" };
+const SNAPSHOT_SECRET_FIELDS = ["passwordHash", "tokenHash"];
+// Brands, types and materials for a fresh catalogue; after that they are managed through /api/taxonomy.
+// Each type has the two-letter prefix its product IDs start with. Legacy IDs are type initial + brand
+// initial, and both "Vòng" types have legacy IDs starting with V (Vòng tay + Cartier is VC...), so they
+// use TA (tay) and CO (cổ), which no legacy ID starts with, rather than continue each other's sequences.
+const DEFAULT_TAXONOMY = [
+    ...["Cartier", "Bvlgari", "Van Cleef & Arpels", "Chrome Hearts", "GKH Jewelry"].map(name => ({ kind: "brand", name })),
+    ...[["Nhẫn", "NH"], ["Dây chuyền", "DC"], ["Vòng tay", "TA"], ["Vòng cổ", "CO"], ["Khuyên tai", "KT"]].map(([name, prefix]) => ({ kind: "type", name, prefix })),
+    ...["18K Gold", "24K Gold", "925 Silver", "Platinum", "Diamond"].map(name => ({ kind: "material", name }))
+];
+// URL segment → taxonomy kind, which is also the product field that holds the name
+const TAXONOMY_KINDS = { brands: "brand", types: "type", materials: "material" };
+const TYPE_PREFIX_PATTERN = /^[A-Z]{2}$/;
+const DISCOUNT_TYPES = ["percentage", "fixed"];
+// What a promotion's values name: taxonomy entries, or product IDs for "products"
+const PROMOTION_SCOPES = ["brand", "type", "material", "products"];
+const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+const ACCESS_TOKEN_TTL = "1h";
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000; // 15 minutes
+const MAX_GALLERY_IMAGES = 10;
+// The product fields clients send, in one place: creation, PATCH, bulk updates, imports and variants are
+// all checked against it, and /api/docs is generated from it. `list` names a taxonomy list (see schema.js).
+const PRODUCT_SCHEMA = {
+    name: { type: "string", required: true },
+    brand: { type: "string", required: true, list: "brands" },
+    type: { type: "string", required: true, list: "types" },
+    material: { type: "string", required: true, list: "materials" },
+    stock: { type: "integer", required: true, minimum: 0 },
+    originalPrice: { type: "number", required: true, exclusiveMinimum: 0 },
+    salePrice: { type: "number", minimum: 0, default: 0, description: "0 means not on sale" },
+    costPrice: { type: "number", minimum: 0, description: "Staff only; used to value stock" }
+};
+// Fields a variant can set for itself; the rest come from its product
+const VARIANT_SCHEMA = pickFields(PRODUCT_SCHEMA, ["material", "stock", "originalPrice", "salePrice", "costPrice"]);
+// "archived" is stored on the product; the other two follow from its stock
+const PRODUCT_STATUSES = ["active", "out_of_stock", "archived"];
+const PRODUCT_SORT_FIELDS = {
+    name: p => normalizeSearchText(p.name || ""),
+    price: (p, promotions) => getPriceRange(p, promotions).min,
+    stock: p => p.stock,
+    id: p => p.id
+};
+// create/update/delete come from the product endpoints and the import, stock from orders
+const AUDIT_ACTIONS = ["create", "update", "stock", "archive", "restore", "delete", "rollback"];
+// Fields a rollback leaves alone: stock has moved with orders since, archiving has its own endpoints
+const ROLLBACK_KEEP_FIELDS = ["id", "version", "stock", "archived", "archivedAt", "archivedBy", "variantSequence"];
+
+// Stock below this shows up in the low-stock report unless ?threshold= asks for another level
+const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD) || 5;
+const REPORT_GROUP_FIELDS = ["brand", "type", "material"];
+const MONEY_FORMAT = "#,##0.00";
+
+// POST /api/products/bulk: its actions, the fields a filter may select on, and the audit action of each change
+const BULK_ACTIONS = ["update", "delete", "stock"];
+const BULK_FILTER_FIELDS = ["ids", "brand", "type", "material"];
+const MAX_BULK_OPERATIONS = 500;
+const BULK_AUDIT_ACTIONS = { update: "update", delete: "archive", stock: "stock" };
+
+// Orders in these states count as a purchase for "verified buyer" reviews
+const VERIFIED_PURCHASE_STATUSES = ["paid", "shipped", "delivered"];
+const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+const MAX_REVIEW_LENGTH = 2000;
+const MAX_WISHLIST_ITEMS = 100;
+
+// pending → paid → shipped → delivered, with cancellation possible until delivery
+const ORDER_STATUS_TRANSITIONS = {
+    pending: ["paid", "cancelled"],
+    paid: ["shipped", "cancelled"],
+    shipped: ["delivered", "cancelled"],
+    delivered: [],
+    cancelled: []
+};
+
+const images = createImageStore({ uploadsDir: UPLOADS_DIR, indexFile: IMAGE_INDEX_FILE, publicPath: "/backend/uploads" });
+const audit = createAuditLog({ file: AUDIT_LOG_FILE });
+const events = createEventHub({ bufferSize: 1000, heartbeatMs: 25000, maxClients: EVENT_STREAM_MAX_CLIENTS, maxClientsPerIp: EVENT_STREAM_MAX_CLIENTS_PER_IP });
+const requestLog = createRequestLog({ file: REQUEST_LOG_FILE, maxBytes: REQUEST_LOG_MAX_BYTES, maxFiles: REQUEST_LOG_MAX_FILES });
+const snapshots = createSnapshotStore({ dir: SNAPSHOT_DIR, uploadsDir: UPLOADS_DIR, keep: SNAPSHOT_KEEP, maxAgeDays: SNAPSHOT_MAX_AGE_DAYS });
 
 // Middleware
-app.use(cors());
+app.use(requestLog.middleware());
+app.use(cors({ exposedHeaders: [REQUEST_ID_HEADER] }));
 app.use(express.json());
 app.use("/backend/uploads", express.static(UPLOADS_DIR, {
     setHeaders: (res, path) => {
@@ -27,70 +148,8 @@ app.use("/backend/uploads", express.static(UPLOADS_DIR, {
 }));
 app.use(express.static(path.join(__dirname, "public")));
 
-// Helper function to compute image hash
-async function getImageHash(fileBuffer) {
-    return new Promise((resolve, reject) => {
-        const hash = crypto.createHash("sha256");
-        hash.update(fileBuffer);
-        resolve(hash.digest("hex"));
-    });
-}
-
-// Helper function to check for existing image by hash
-async function findExistingImage(fileBuffer) {
-    const newHash = await getImageHash(fileBuffer);
-    console.log("Computed image hash:", newHash);
-    try {
-        const files = await fs.readdir(UPLOADS_DIR);
-        for (const filename of files) {
-            const filePath = path.join(UPLOADS_DIR, filename);
-            const existingBuffer = await fs.readFile(filePath);
-            const existingHash = await getImageHash(existingBuffer);
-            if (newHash === existingHash) {
-                console.log("Found matching image:", filename);
-                return `/backend/uploads/${filename}`;
-            }
-        }
-    } catch (err) {
-        console.error("Error scanning uploads directory:", err.message);
-    }
-    return null;
-}
-
-// Helper function to generate unique filename using timestamp
-async function getUniqueFilename(filename) {
-    const ext = path.extname(filename);
-    const base = path.basename(filename, ext);
-    let newFilename = filename;
-
-    // Check if file exists
-    if (await fs.access(path.join(UPLOADS_DIR, newFilename)).then(() => true).catch(() => false)) {
-        const timestamp = Date.now();
-        newFilename = `${base}-${timestamp}${ext}`;
-    }
-
-    console.log("Generated filename:", newFilename);
-    return newFilename;
-}
-
-// Multer storage configuration
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, UPLOADS_DIR);
-    },
-    filename: async (req, file, cb) => {
-        console.log("Processing file:", { originalname: file.originalname });
-        const existingImageUrl = await findExistingImage(file.buffer);
-        if (existingImageUrl) {
-            console.log("Reusing existing image:", existingImageUrl);
-            req.existingImageUrl = existingImageUrl;
-            cb(null, path.basename(existingImageUrl));
-        } else {
-            const uniqueFilename = await getUniqueFilename(file.originalname);
-            cb(null, uniqueFilename);
-        }
-    }
-});
+// Uploads are kept in memory and handed to the image store, which names files by content hash
+const storage = multer.memoryStorage();
 
 const upload = multer({
     storage,
@@ -108,23 +167,49 @@ const upload = multer({
     limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
 });
 
-// Custom middleware to make image upload optional
-const optionalUpload = (req, res, next) => {
-    upload.single("image")(req, res, (err) => {
-        if (err instanceof multer.MulterError) {
-            return res.status(400).json({ message: `Upload error: ${err.message}` });
-        } else if (err) {
-            return res.status(400).json({ message: err.message });
+// Spreadsheets are parsed in memory and never stored
+const spreadsheetUpload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        if (path.extname(file.originalname).toLowerCase() === ".xlsx") {
+            return cb(null, true);
         }
-        next();
-    });
-};
+        cb(new Error("Only .xlsx files are allowed"), false);
+    },
+    limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+});
+
+// Runs a multer middleware and reports its errors as 400 JSON
+function handleUpload(middleware) {
+    return (req, res, next) => {
+        middleware(req, res, (err) => {
+            if (err instanceof multer.MulterError) {
+                return res.status(400).json({ message: `Upload error: ${err.message}` });
+            } else if (err) {
+                return res.status(400).json({ message: err.message });
+            }
+            next();
+        });
+    };
+}
+
+const spreadsheetFile = handleUpload(spreadsheetUpload.single("file"));
+// Image upload is optional at this stage; routes decide whether they need one
+const optionalUpload = handleUpload(upload.single("image"));
+const galleryUpload = handleUpload(upload.array("images", MAX_GALLERY_IMAGES));
 
-// File lock wrapper
-async function withFileLock(operation, callback) {
+// Give back the image reference taken for an upload when the request does not use it
+async function discardUploadedImage(imageUrl) {
+    if (imageUrl) {
+        await images.release(imageUrl).catch(err => console.error("Failed to release uploaded image:", err));
+    }
+}
+
+// File lock wrapper for the JSON files that are not part of the storage layer (orders, users, tokens)
+async function withFileLock(operation, callback, file) {
     console.log(`Starting operation: ${operation}`);
     try {
-        const release = await lockfile.lock(PRODUCTS_FILE, { retries: 10 });
+        const release = await lockfile.lock(file, { retries: 10 });
         try {
             return await callback();
         } finally {
@@ -137,406 +222,3880 @@ async function withFileLock(operation, callback) {
     }
 }
 
-// JWT verification middleware
-function verifyToken(req, res, next) {
+// Failed login counters per client IP and lowercased username, so someone guessing from one address cannot
+// lock the account out for everyone else. Kept in memory, so a restart clears lockouts.
+const failedLogins = new Map();
+
+// Drops counters whose lockout has run out and whose last failure is older than the lockout period
+function pruneFailedLogins(now) {
+    for (const [key, attempts] of failedLogins) {
+        if (attempts.lockedUntil <= now && attempts.lastFailureAt + LOGIN_LOCKOUT_MS <= now) {
+            failedLogins.delete(key);
+        }
+    }
+}
+
+// JWT verification middleware; also rejects revoked tokens and disabled or deleted users
+async function verifyToken(req, res, next) {
     const authHeader = req.headers.authorization;
     if (!authHeader) {
         console.log("Token verification: No token provided");
         return res.status(401).json({ message: "No token provided" });
     }
     const token = authHeader.split(" ")[1];
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        if (!decoded.userId) {
-            console.error("Token verification: Missing userId in token payload");
-            return res.status(401).json({ message: "Invalid token: missing userId" });
-        }
-        req.user = decoded;
-        console.log("Token verified, user:", req.user);
-        next();
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (err) {
         console.error("Token verification error:", err.message);
         return res.status(401).json({ message: "Invalid or expired token" });
     }
-}
-
-function generateProductCode(products, type, brand) {
-    if (!type || !brand || typeof type !== "string" || typeof brand !== "string") {
-        console.error("Invalid type or brand:", { type, brand });
-        throw new Error("Type and brand must be non-empty strings");
+    if (!decoded.userId) {
+        console.error("Token verification: Missing userId in token payload");
+        return res.status(401).json({ message: "Invalid token: missing userId" });
     }
-    const prefix = `${type.trim().charAt(0).toUpperCase()}${brand.trim().charAt(0).toUpperCase()}`.trim();
-    const filteredNumbers = products
-        .filter(p => p && p.id && typeof p.id === "string" && p.id.startsWith(prefix))
-        .map(p => {
-            const numberPart = p.id.replace(prefix, "").trim();
-            const number = parseInt(numberPart, 10);
-            return isNaN(number) || number < 0 ? null : number;
-        })
-        .filter(num => num !== null);
-    const maxNumber = filteredNumbers.length > 0 ? Math.max(...filteredNumbers) : 0;
-    const newNumber = maxNumber + 1;
-    const newCode = `${prefix}${newNumber.toString().padStart(4, "0")}`;
-    if (products.some(p => p?.id === newCode)) {
-        console.warn("Duplicate ID detected, regenerating:", newCode);
-        return generateProductCode(products, type, brand);
+
+    try {
+        const revokedTokens = await readJsonArray(REVOKED_TOKENS_FILE);
+        if (decoded.jti && revokedTokens.some(t => t.jti === decoded.jti)) {
+            console.log("Token verification: Token revoked", { userId: decoded.userId });
+            return res.status(401).json({ message: "Token has been revoked" });
+        }
+        const users = await readJsonArray(USERS_FILE);
+        const user = users.find(u => u.id === decoded.userId);
+        if (!user || user.disabled) {
+            console.log("Token verification: User missing or disabled", { userId: decoded.userId });
+            return res.status(401).json({ message: "Account is disabled or no longer exists" });
+        }
+        // Use the stored role so a demotion applies without waiting for the token to expire
+        req.user = { ...decoded, role: user.role };
+    } catch (err) {
+        console.error("Token verification error:", err.message);
+        return res.status(500).json({ message: "Error verifying token" });
     }
-    return newCode;
+    console.log("Token verified:", { userId: req.user.userId, role: req.user.role });
+    next();
 }
 
-// Login route
-app.post("/api/login", async (req, res) => {
-    const { username, password } = req.body;
-    console.log("Login attempt:", { username });
-    if (
-        username !== process.env.ADMIN_USERNAME ||
-        !(await bcrypt.compare(password, process.env.ADMIN_PASSWORD_HASH))
-    ) {
-        console.log("Login failed: Invalid credentials");
-        return res.status(401).json({ message: "Invalid username or password" });
+// Role check, used after verifyToken: requireRole("admin", "staff")
+function requireRole(...roles) {
+    const checkRole = (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            console.log("Role check failed:", { userId: req.user && req.user.userId, role: req.user && req.user.role, required: roles });
+            return res.status(403).json({ message: "You do not have permission to perform this action" });
+        }
+        next();
+    };
+    // Read by the /api/docs generator
+    checkRole.roles = roles;
+    return checkRole;
+}
+
+// Same as verifyToken, but lets requests without an Authorization header through as guests
+function optionalToken(req, res, next) {
+    if (!req.headers.authorization) {
+        return next();
     }
-    const userId = username;
-    const token = jwt.sign({ userId, username }, process.env.JWT_SECRET, { expiresIn: "1h" });
-    console.log("Login successful:", { username, userId });
-    res.json({ success: true, token });
-});
+    return verifyToken(req, res, next);
+}
 
-// Get all products
-app.get("/api/products", async (req, res) => {
+// Helper function to read a JSON array file, creating it if missing
+async function readJsonArray(file) {
     try {
-        const data = await fs.readFile(PRODUCTS_FILE, "utf8");
-        const products = JSON.parse(data);
-        res.json(products);
+        const data = await fs.readFile(file, "utf8");
+        const items = JSON.parse(data);
+        // Reading a damaged file as [] would let the next write replace everything in it
+        if (!Array.isArray(items)) {
+            throw new Error(`${path.basename(file)} does not contain an array`);
+        }
+        return items;
     } catch (err) {
-        console.error("Error reading products:", err);
-        res.status(500).json({ message: "Error reading products" });
+        if (err.code === "ENOENT") {
+            console.log(`${path.basename(file)} not found, creating empty file`);
+            await fs.writeFile(file, JSON.stringify([], null, 2));
+            return [];
+        }
+        throw err;
     }
-});
+}
 
-// Add a new product
-app.post("/api/products", verifyToken, upload.single("image"), async (req, res) => {
-    try {
-        const { name, brand, type, stock, originalPrice, salePrice, material } = req.body;
-        console.log("Received FormData:", {
-            name,
-            brand,
-            type,
-            stock,
-            originalPrice,
-            salePrice,
-            material,
-            image: req.file ? req.file.filename : req.existingImageUrl || "No image"
-        });
+// Amount left after a percentage or fixed discount, never below zero
+function applyDiscount(amount, { discountType, value }) {
+    const discount = discountType === "percentage" ? amount * value / 100 : value;
+    return Math.max(0, Math.round((amount - discount) * 100) / 100);
+}
 
-        if (!name || !brand || !type || !stock || !originalPrice || !salePrice || !material) {
-            console.log("Validation failed: Missing required fields");
-            return res.status(400).json({ message: "All fields are required, including material" });
-        }
+function isPromotionActive(promotion, now) {
+    return new Date(promotion.startsAt) <= now && now < new Date(promotion.endsAt);
+}
 
-        const normalizedBrand = brand.trim();
-        const normalizedType = type.trim();
-        const normalizedMaterial = material.trim();
+// item is the product itself or one of its variants; materials are matched per variant
+function promotionApplies(promotion, product, item) {
+    switch (promotion.scope) {
+        case "brand": return promotion.values.includes(product.brand);
+        case "type": return promotion.values.includes(product.type);
+        case "material": return promotion.values.includes(item.material);
+        case "products": return promotion.values.includes(product.id);
+        default: return false;
+    }
+}
 
-        if (!ALLOWED_BRANDS.includes(normalizedBrand)) {
-            console.log("Validation failed: Invalid brand", normalizedBrand);
-            return res.status(400).json({ message: `Invalid brand: "${brand}". Must be one of: ${ALLOWED_BRANDS.join(", ")}` });
-        }
-        if (!ALLOWED_TYPES.includes(normalizedType)) {
-            console.log("Validation failed: Invalid type", normalizedType);
-            return res.status(400).json({ message: `Invalid type: "${type}". Must be one of: ${ALLOWED_TYPES.join(", ")}` });
-        }
-        if (!ALLOWED_MATERIALS.includes(normalizedMaterial)) {
-            console.log("Validation failed: Invalid material", normalizedMaterial);
-            return res.status(400).json({ message: `Invalid material: "${material}". Must be one of: ${ALLOWED_MATERIALS.join(", ")}` });
+// What a product or variant sells for. A manual salePrice always wins (0 means none);
+// otherwise the running promotion with the biggest discount applies.
+function getItemPricing(item, product, promotions) {
+    if (item.salePrice > 0) {
+        return { price: item.salePrice, promotionId: null };
+    }
+    let best = { price: item.originalPrice, promotionId: null };
+    for (const promotion of promotions) {
+        if (!promotionApplies(promotion, product, item)) continue;
+        const price = applyDiscount(item.originalPrice, promotion);
+        if (price < best.price) {
+            best = { price, promotionId: promotion.id };
         }
+    }
+    return best;
+}
 
-        const parsedStock = parseInt(stock);
-        const parsedOriginalPrice = parseFloat(originalPrice);
-        const parsedSalePrice = parseFloat(salePrice);
+function getEffectivePrice(item, product, promotions) {
+    return getItemPricing(item, product, promotions).price;
+}
 
-        if (
-            isNaN(parsedStock) || parsedStock < 0 ||
-            isNaN(parsedOriginalPrice) || parsedOriginalPrice < 0 ||
-            isNaN(parsedSalePrice) || parsedSalePrice < 0
-        ) {
-            console.log("Validation failed: Invalid numeric fields");
-            return res.status(400).json({ message: "Invalid numeric fields" });
-        }
+async function loadActivePromotions(now = new Date()) {
+    return (await store.promotions.list()).filter(p => isPromotionActive(p, now));
+}
 
-        const newProduct = await withFileLock("add_product", async () => {
-            let products = [];
-            try {
-                const data = await fs.readFile(PRODUCTS_FILE, "utf8");
-                products = JSON.parse(data);
-                if (!Array.isArray(products)) {
-                    console.error("products.json is not an array:", data);
-                    products = [];
-                }
-            } catch (err) {
-                if (err.code === "ENOENT") {
-                    console.log("products.json not found, creating empty file");
-                    await fs.writeFile(PRODUCTS_FILE, JSON.stringify([], null, 2));
-                } else {
-                    console.error("Error reading products.json:", err);
-                }
-                products = [];
-            }
+// Everything cart prices depend on: the running promotions and the coupons
+async function loadPricing() {
+    return { promotions: await loadActivePromotions(), coupons: await store.coupons.list() };
+}
 
-            const imageUrl = req.existingImageUrl || (req.file ? `/backend/uploads/${req.file.filename}` : null);
-            if (!imageUrl) {
-                console.log("Validation failed: No valid image provided");
-                return { error: "An image file (jpg or png) is required", status: 400 };
-            }
-
-            const newProduct = {
-                id: generateProductCode(products, normalizedType, normalizedBrand),
-                name,
-                brand: normalizedBrand,
-                type: normalizedType,
-                stock: parsedStock,
-                imageUrl,
-                originalPrice: parsedOriginalPrice,
-                salePrice: parsedSalePrice,
-                material: normalizedMaterial,
-                version: 0
-            };
-            products.push(newProduct);
-            await fs.writeFile(PRODUCTS_FILE, JSON.stringify(products, null, 2));
-            console.log("Products after addition:", products.map(p => ({ id: p.id })));
-            return newProduct;
-        });
+// Why a coupon cannot be used on an order of this size right now, or null when it can
+function getCouponProblem(coupon, subtotal, now = new Date()) {
+    if (!coupon) return "Coupon not found";
+    if (coupon.startsAt && new Date(coupon.startsAt) > now) return "Coupon is not valid yet";
+    if (coupon.endsAt && new Date(coupon.endsAt) <= now) return "Coupon has expired";
+    if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) return "Coupon usage limit reached";
+    if (subtotal < coupon.minOrderValue) return `Order must be at least ${coupon.minOrderValue} to use this coupon`;
+    return null;
+}
 
-        if (newProduct.error) {
-            if (req.file && !req.existingImageUrl) {
-                await fs.unlink(path.join(UPLOADS_DIR, req.file.filename)).catch(err => console.error("Failed to delete temp file:", err));
-            }
-            return res.status(newProduct.status || 400).json({ message: newProduct.error });
-        }
+// A coupon that stopped qualifying stays on the cart but gives no discount, and says why
+function priceCoupon(code, subtotal, coupons) {
+    const coupon = coupons.find(c => c.code === code);
+    const problem = getCouponProblem(coupon, subtotal);
+    if (problem) {
+        return { code, valid: false, reason: problem, discount: 0 };
+    }
+    return { code, valid: true, discount: subtotal - applyDiscount(subtotal, coupon) };
+}
 
-        console.log("Product added:", newProduct);
-        res.status(201).json(newProduct);
-    } catch (err) {
-        if (req.file && !req.existingImageUrl) {
-            await fs.unlink(path.join(UPLOADS_DIR, req.file.filename)).catch(err => console.error("Failed to delete temp file:", err));
+function getProductStatus(product) {
+    if (product.archived) return "archived";
+    return product.stock > 0 ? "active" : "out_of_stock";
+}
+
+// Variants (ring sizes, chain lengths, metals) carry their own SKU, stock and prices.
+// A parent with variants keeps the sum of their stock in its own stock field, so totals and
+// status work the same way for both kinds of product.
+function hasVariants(product) {
+    return Array.isArray(product.variants) && product.variants.length > 0;
+}
+
+function findVariant(product, sku) {
+    return hasVariants(product) ? product.variants.find(v => v.sku === sku) || null : null;
+}
+
+// Lowest and highest effective price across the variants, or the product's own price
+function getPriceRange(product, promotions) {
+    const items = hasVariants(product) ? product.variants : [product];
+    const prices = items.map(item => getEffectivePrice(item, product, promotions));
+    return { min: Math.min(...prices), max: Math.max(...prices) };
+}
+
+// Changes that replace the variant list and keep the parent's total stock in step
+function variantChanges(variants) {
+    return { variants, stock: variants.reduce((sum, v) => sum + v.stock, 0) };
+}
+
+// The thing a cart line or order item actually buys: a variant when the product has them, otherwise the product
+function resolvePurchasable(product, sku) {
+    if (hasVariants(product)) {
+        if (!sku) {
+            return { error: `Product ${product.id} has variants; choose one by sku`, status: 400 };
         }
-        console.error("Error adding product:", err);
-        res.status(500).json({ message: err.message || "Error adding product" });
+        const variant = findVariant(product, sku);
+        return variant ? { item: variant } : { error: `Variant ${sku} not found on product ${product.id}`, status: 404 };
     }
-});
+    if (sku) {
+        return { error: `Product ${product.id} has no variants`, status: 400 };
+    }
+    return { item: product };
+}
 
-// Update product
-app.patch("/api/products/:id", verifyToken, optionalUpload, async (req, res) => {
-    const { id } = req.params;
-    const { name, brand, type, material, stock, originalPrice, salePrice, version, keepImage } = req.body || {};
-    console.log("Updating product:", { id, name, brand, type, material, stock, originalPrice, salePrice, version, keepImage, file: req.file });
+// Adds delta to the stock of a product, or of one of its variants when sku is given (inside a products transaction)
+function adjustStock(products, product, sku, delta) {
+    if (sku) {
+        const variants = product.variants.map(v => v.sku === sku ? { ...v, stock: v.stock + delta } : v);
+        return products.update(product.id, variantChanges(variants));
+    }
+    return products.update(product.id, { stock: product.stock + delta });
+}
 
-    try {
-        const updates = {};
-        if (name !== undefined) {
-            const trimmedName = name.trim();
-            if (!trimmedName) return res.status(400).json({ message: "Name cannot be empty" });
-            updates.name = trimmedName;
-        }
-        if (brand !== undefined) {
-            if (!ALLOWED_BRANDS.includes(brand)) return res.status(400).json({ message: `Invalid brand: "${brand}". Must be one of: ${ALLOWED_BRANDS.join(", ")}` });
-            updates.brand = brand;
-        }
-        if (type !== undefined) {
-            if (!ALLOWED_TYPES.includes(type)) return res.status(400).json({ message: `Invalid type: "${type}". Must be one of: ${ALLOWED_TYPES.join(", ")}` });
-            updates.type = type;
-        }
-        if (material !== undefined) {
-            const normalizedMaterial = material.trim();
-            if (!ALLOWED_MATERIALS.includes(normalizedMaterial)) {
-                return res.status(400).json({ message: `Invalid material: "${material}". Must be one of: ${ALLOWED_MATERIALS.join(", ")}` });
-            }
-            updates.material = normalizedMaterial;
-        }
-        if (stock !== undefined) {
-            const parsedStock = parseInt(stock);
-            if (isNaN(parsedStock) || parsedStock < 0) {
-                return res.status(400).json({ message: "Invalid stock value" });
-            }
-            updates.stock = parsedStock;
-        }
-        if (originalPrice !== undefined) {
-            const parsedOriginalPrice = parseFloat(originalPrice);
-            if (isNaN(parsedOriginalPrice) || parsedOriginalPrice <= 0) {
-                return res.status(400).json({ message: "Invalid original price value" });
-            }
-            updates.originalPrice = parsedOriginalPrice;
+// Gallery image URLs in display order; records from before galleries have just their imageUrl
+function getGallery(product) {
+    if (Array.isArray(product.gallery) && product.gallery.length > 0) {
+        return [...product.gallery];
+    }
+    return product.imageUrl ? [product.imageUrl] : [];
+}
+
+// Whether a URL names a file directly inside the uploads folder: no subfolders, no "..", no hidden files
+function isUploadUrl(imageUrl) {
+    const prefix = "/backend/uploads/";
+    if (typeof imageUrl !== "string" || !imageUrl.startsWith(prefix)) {
+        return false;
+    }
+    const filename = imageUrl.slice(prefix.length);
+    return filename === path.posix.basename(filename) && !filename.startsWith(".");
+}
+
+// Stable ID of a gallery image within a product: its filename without extension (the content hash for new uploads)
+function getImageId(imageUrl) {
+    return path.basename(imageUrl, path.extname(imageUrl));
+}
+
+// Makes imageUrl the primary image. A URL already in the gallery is only promoted; otherwise it takes
+// the current primary's place. Returns the changes to store and the URL whose reference is no longer needed.
+function setPrimaryImage(product, imageUrl) {
+    const gallery = getGallery(product);
+    if (gallery.includes(imageUrl)) {
+        return { changes: { imageUrl, gallery }, replacedImageUrl: null };
+    }
+    const primaryIndex = gallery.indexOf(product.imageUrl);
+    gallery[primaryIndex === -1 ? 0 : primaryIndex] = imageUrl;
+    return { changes: { imageUrl, gallery }, replacedImageUrl: product.imageUrl };
+}
+
+// Shape of a product in API responses: the stored record plus computed fields.
+// promotions are the running ones, which the computed prices depend on. Responses that can reach
+// shoppers pass showCost: false so cost prices stay internal.
+function presentProduct(product, promotions, { showCost = true } = {}) {
+    const pricing = getItemPricing(product, product, promotions);
+    const withoutCost = ({ costPrice, ...rest }) => rest;
+    return {
+        ...(showCost ? product : withoutCost(product)),
+        ...(hasVariants(product) ? {
+            variants: product.variants.map(v => {
+                const variantPricing = getItemPricing(v, product, promotions);
+                return { ...(showCost ? v : withoutCost(v)), effectivePrice: variantPricing.price, promotionId: variantPricing.promotionId };
+            })
+        } : {}),
+        effectivePrice: pricing.price,
+        promotionId: pricing.promotionId,
+        status: getProductStatus(product),
+        totalStock: product.stock,
+        priceRange: getPriceRange(product, promotions),
+        images: images.variantsFor(product.imageUrl),
+        gallery: getGallery(product).map(url => ({
+            id: getImageId(url),
+            url,
+            isPrimary: url === product.imageUrl,
+            images: images.variantsFor(url)
+        }))
+    };
+}
+
+// Lowercase and strip Vietnamese diacritics so "nhan" matches "Nhẫn"
+function normalizeSearchText(text) {
+    return text
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/đ/g, "d")
+        .replace(/Đ/g, "D")
+        .toLowerCase();
+}
+
+// Accepts ?brand=A,B as well as ?brand=A&brand=B
+function parseListParam(value) {
+    if (value === undefined) {
+        return [];
+    }
+    return [].concat(value).flatMap(v => String(v).split(",")).map(v => v.trim()).filter(Boolean);
+}
+
+// Attach current prices, stock and totals to a stored cart; pricing comes from loadPricing()
+function buildCartResponse(cart, products, pricing) {
+    const items = cart.items.map(item => {
+        const product = products.find(p => p.id === item.productId);
+        // Purged products and removed variants have no record left; archived products can no longer be bought
+        const purchasable = product && !product.archived ? resolvePurchasable(product, item.sku) : null;
+        const skuFields = item.sku ? { sku: item.sku } : {};
+        if (!purchasable || purchasable.error) {
+            return { productId: item.productId, ...skuFields, quantity: item.quantity, available: false, unitPrice: 0, lineTotal: 0 };
         }
-        if (salePrice !== undefined) {
-            const parsedSalePrice = parseFloat(salePrice);
-            if (isNaN(parsedSalePrice) || parsedSalePrice < 0) {
-                return res.status(400).json({ message: "Invalid sale price value" });
-            }
-            updates.salePrice = parsedSalePrice;
+        const { price: unitPrice, promotionId } = getItemPricing(purchasable.item, product, pricing.promotions);
+        return {
+            productId: item.productId,
+            ...skuFields,
+            ...(item.sku ? { options: purchasable.item.options, material: purchasable.item.material } : {}),
+            name: product.name,
+            imageUrl: product.imageUrl,
+            quantity: item.quantity,
+            stock: purchasable.item.stock,
+            available: purchasable.item.stock >= item.quantity,
+            unitPrice,
+            promotionId,
+            lineTotal: unitPrice * item.quantity
+        };
+    });
+    const subtotal = items.reduce((sum, item) => sum + item.lineTotal, 0);
+    const coupon = cart.couponCode ? priceCoupon(cart.couponCode, subtotal, pricing.coupons) : null;
+    const discount = coupon ? coupon.discount : 0;
+    return {
+        id: cart.id,
+        userId: cart.userId,
+        items,
+        itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+        subtotal,
+        coupon,
+        discount,
+        total: subtotal - discount,
+        createdAt: cart.createdAt,
+        updatedAt: cart.updatedAt
+    };
+}
+
+// Guest carts are reachable by anyone holding the (random) cart ID; user carts only by their owner
+function canAccessCart(cart, user) {
+    return !cart.userId || (user && user.userId === cart.userId);
+}
+
+// Cart lines are addressed by SKU for variants and by product ID otherwise
+function findCartLine(cart, lineId) {
+    return cart.items.find(i => (i.sku || i.productId) === lineId);
+}
+
+function parseQuantity(quantity) {
+    const parsed = parseInt(quantity, 10);
+    return isNaN(parsed) || parsed < 1 || String(parsed) !== String(quantity).trim() ? null : parsed;
+}
+
+// Runs a cart mutation in a carts transaction; products and pricing are read beforehand for the checks
+async function updateCart(cartId, user, mutate) {
+    const products = await store.products.list();
+    const pricing = await loadPricing();
+    return store.transaction(["carts"], async ({ carts }) => {
+        const cart = carts.get(cartId);
+        if (!cart || !canAccessCart(cart, user)) {
+            return { error: `Cart with ID ${cartId} not found`, status: 404 };
         }
-        if (req.existingImageUrl) {
-            updates.imageUrl = req.existingImageUrl;
-        } else if (req.file) {
-            updates.imageUrl = `/backend/uploads/${req.file.filename}`;
-        } else if (keepImage !== "true") {
-            return res.status(400).json({ message: "An image file is required unless keepImage is true" });
+        const error = mutate(cart, products, pricing);
+        if (error) {
+            return error;
         }
+        const changes = { items: cart.items, couponCode: cart.couponCode || null, updatedAt: new Date().toISOString() };
+        const updatedCart = carts.update(cartId, changes);
+        return { cart: buildCartResponse(updatedCart, products, pricing) };
+    });
+}
 
-        if (Object.keys(updates).length === 0) {
-            return res.status(400).json({ message: "No valid fields to update" });
+// What a wishlist line costs now and whether it can be bought; null once the product or variant is gone or archived
+function getWishlistItemState(item, product, promotions) {
+    if (!product || product.archived) {
+        return null;
+    }
+    const purchasable = resolvePurchasable(product, item.sku);
+    if (purchasable.error) {
+        return null;
+    }
+    return { available: purchasable.item.stock > 0, price: getEffectivePrice(purchasable.item, product, promotions) };
+}
+
+// Wishlist lines with current product details. Each line remembers the price and availability its owner
+// last saw (when it was added or notices were dismissed); notices say what has improved since.
+function buildWishlistResponse(wishlist, products, promotions) {
+    const items = wishlist.items.map(item => {
+        const product = products.find(p => p.id === item.productId);
+        const state = getWishlistItemState(item, product, promotions);
+        const notices = [];
+        if (state && !item.seen.available && state.available) notices.push("back_in_stock");
+        if (state && state.price < item.seen.price) notices.push("on_sale");
+        return {
+            productId: item.productId,
+            ...(item.sku ? { sku: item.sku } : {}),
+            name: state ? product.name : null,
+            imageUrl: state ? product.imageUrl : null,
+            price: state ? state.price : null,
+            available: state ? state.available : false,
+            discontinued: !state,
+            notices,
+            addedAt: item.addedAt
+        };
+    });
+    return {
+        userId: wishlist.userId,
+        items,
+        noticeCount: items.reduce((sum, item) => sum + item.notices.length, 0),
+        updatedAt: wishlist.updatedAt
+    };
+}
+
+// Runs a change to the signed-in user's wishlist (created on first use) in a wishlists transaction.
+// mutate(items, products, promotions) edits the items in place or returns { error, status }.
+async function updateWishlist(user, mutate) {
+    const products = await store.products.list();
+    const promotions = await loadActivePromotions();
+    return store.transaction(["wishlists"], async ({ wishlists }) => {
+        const now = new Date().toISOString();
+        const existing = wishlists.list().find(w => w.userId === user.userId);
+        const items = existing ? [...existing.items] : [];
+        const error = mutate(items, products, promotions);
+        if (error) {
+            return error;
         }
+        const wishlist = existing
+            ? wishlists.update(existing.id, { items, updatedAt: now })
+            : wishlists.insert({ id: crypto.randomUUID(), userId: user.userId, items, createdAt: now, updatedAt: now });
+        return { wishlist: buildWishlistResponse(wishlist, products, promotions) };
+    });
+}
 
-        const result = await withFileLock(`update_product_${id}`, async () => {
-            let products = [];
-            try {
-                const data = await fs.readFile(PRODUCTS_FILE, "utf8");
-                products = JSON.parse(data);
-                if (!Array.isArray(products)) {
-                    console.error("products.json is not an array:", data);
-                    await fs.writeFile(PRODUCTS_FILE, JSON.stringify([], null, 2));
-                    return { error: "Invalid products data format", status: 500 };
-                }
-            } catch (err) {
-                if (err.code === "ENOENT") {
-                    console.log("products.json not found, creating empty file");
-                    await fs.writeFile(PRODUCTS_FILE, JSON.stringify([], null, 2));
-                } else {
-                    console.error("Error reading products.json:", err);
-                    return { error: "Error accessing product data", status: 500 };
-                }
-            }
+// Average rating and count of approved reviews per product ID
+function summarizeRatings(reviews) {
+    const ratings = new Map();
+    for (const review of reviews.filter(r => r.status === "approved")) {
+        const rating = ratings.get(review.productId) || { total: 0, reviewCount: 0 };
+        rating.total += review.rating;
+        rating.reviewCount += 1;
+        ratings.set(review.productId, rating);
+    }
+    return productId => {
+        const rating = ratings.get(productId);
+        return rating
+            ? { averageRating: Math.round(rating.total / rating.reviewCount * 10) / 10, reviewCount: rating.reviewCount }
+            : { averageRating: null, reviewCount: 0 };
+    };
+}
 
-            const productIndex = products.findIndex(p => p.id === id.trim());
-            console.log("Product search:", { id, found: productIndex !== -1, products: products.map(p => ({ id: p.id })) });
-            if (productIndex === -1) {
-                return { error: `Product with ID ${id} not found`, status: 404 };
-            }
+// Shape of a review in public responses: moderation details stay internal
+function toPublicReview({ id, productId, username, rating, title, body, createdAt, updatedAt }) {
+    return { id, productId, username, rating, title, body, createdAt, updatedAt };
+}
 
-            if (version !== undefined && parseInt(version) !== (products[productIndex].version || 0)) {
-                return { error: "Product was modified by another user", status: 409 };
-            }
+// Guest orders are reachable by their (random) order ID; user orders only by their owner or staff
+function canAccessOrder(order, user) {
+    return !order.userId || (user && (user.userId === order.userId || user.role === "admin" || user.role === "staff"));
+}
 
-            // Delete old image if a new one is provided
-            if (updates.imageUrl && updates.imageUrl !== products[productIndex].imageUrl) {
-                const oldImagePath = path.join(__dirname, products[productIndex].imageUrl || "");
-                try {
-                    await fs.unlink(oldImagePath);
-                    console.log("Deleted old image:", oldImagePath);
-                } catch (err) {
-                    console.warn("Failed to delete old image:", err.message);
-                }
-            }
+// Never send password hashes to clients
+function toPublicUser(user) {
+    const { passwordHash, ...publicUser } = user;
+    return publicUser;
+}
 
-            updates.version = (products[productIndex].version || 0) + 1;
-            products[productIndex] = { ...products[productIndex], ...updates };
-            if (updates.stock === 0) {
-                const deletedProduct = products.splice(productIndex, 1)[0];
-                if (deletedProduct.imageUrl) {
-                    const imagePath = path.join(__dirname, deletedProduct.imageUrl);
-                    try {
-                        await fs.unlink(imagePath);
-                        console.log("Deleted image due to zero stock:", imagePath);
-                    } catch (err) {
-                        console.warn("Failed to delete image:", err.message);
-                    }
-                }
-                console.log("Product deleted due to zero stock:", { id });
-                return { deleted: true, message: "Product deleted due to zero stock" };
-            }
+// Adds a user to users.json; usernames are unique regardless of case
+async function createUser({ username, password, role }) {
+    const passwordHash = await hashPassword(password);
+    return withFileLock("create_user", async () => {
+        const users = await readJsonArray(USERS_FILE);
+        if (users.some(u => u.username.toLowerCase() === username.toLowerCase())) {
+            return { error: `Username "${username}" is already taken`, status: 409 };
+        }
+        const user = buildUserRecord({ username, passwordHash, role });
+        users.push(user);
+        await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 2));
+        return { user };
+    }, USERS_FILE);
+}
 
-            await fs.writeFile(PRODUCTS_FILE, JSON.stringify(products, null, 2));
-            console.log("Products after update:", products.map(p => ({ id: p.id })));
-            return { product: products[productIndex] };
-        });
+function signToken(user) {
+    return jwt.sign({ userId: user.id, username: user.username, role: user.role }, process.env.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_TTL,
+        jwtid: crypto.randomUUID()
+    });
+}
 
-        if (result.error) {
-            if (req.file && !req.existingImageUrl) {
-                await fs.unlink(path.join(UPLOADS_DIR, req.file.filename)).catch(err => console.error("Failed to delete temp file:", err));
-            }
-            return res.status(result.status || 404).json({ message: result.error });
+// Only the SHA-256 of a refresh token is stored, so a leaked refresh-tokens.json cannot be replayed
+function hashRefreshToken(refreshToken) {
+    return crypto.createHash("sha256").update(refreshToken).digest("hex");
+}
+
+function createRefreshTokenRecord(user) {
+    const refreshToken = crypto.randomBytes(48).toString("base64url");
+    const now = Date.now();
+    return {
+        refreshToken,
+        record: {
+            id: crypto.randomUUID(),
+            userId: user.id,
+            tokenHash: hashRefreshToken(refreshToken),
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + REFRESH_TOKEN_TTL_MS).toISOString(),
+            revokedAt: null,
+            replacedBy: null
         }
+    };
+}
 
-        res.json(result.product || { deleted: true, message: result.message });
-    } catch (err) {
-        if (req.file && !req.existingImageUrl) {
-            await fs.unlink(path.join(UPLOADS_DIR, req.file.filename)).catch(err => console.error("Failed to delete temp file:", err));
+// Drop token records that can no longer be used anyway
+function pruneExpiredTokens(tokens) {
+    const now = Date.now();
+    return tokens.filter(t => new Date(t.expiresAt).getTime() > now);
+}
+
+// Access token plus a new server-side refresh token
+async function issueTokens(user) {
+    const { refreshToken, record } = createRefreshTokenRecord(user);
+    await withFileLock("issue_refresh_token", async () => {
+        const tokens = pruneExpiredTokens(await readJsonArray(REFRESH_TOKENS_FILE));
+        tokens.push(record);
+        await fs.writeFile(REFRESH_TOKENS_FILE, JSON.stringify(tokens, null, 2));
+    }, REFRESH_TOKENS_FILE);
+    return { token: signToken(user), refreshToken };
+}
+
+// Revoke every active refresh token of a user (logout everywhere, disabled account, password change)
+async function revokeUserRefreshTokens(userId) {
+    await withFileLock(`revoke_refresh_tokens_${userId}`, async () => {
+        const tokens = pruneExpiredTokens(await readJsonArray(REFRESH_TOKENS_FILE));
+        const now = new Date().toISOString();
+        tokens.filter(t => t.userId === userId && !t.revokedAt).forEach(t => { t.revokedAt = now; });
+        await fs.writeFile(REFRESH_TOKENS_FILE, JSON.stringify(tokens, null, 2));
+    }, REFRESH_TOKENS_FILE);
+}
+
+// Put the stock of an order's items back; products removed since then are skipped.
+// Returns the before/after pair of every product touched, for the audit log.
+function restockOrderItems(products, order) {
+    const touched = new Map();
+    for (const item of order.items) {
+        const product = products.get(item.productId);
+        if (!product || (item.sku && !findVariant(product, item.sku))) {
+            console.warn("Cannot restock missing product:", item.sku || item.productId);
+            continue;
         }
-        console.error("Error updating product:", { id, error: err.message, stack: err.stack });
-        res.status(500).json({ message: err.message || "Error updating product" });
+        if (!touched.has(product.id)) {
+            touched.set(product.id, product);
+        }
+        adjustStock(products, product, item.sku, item.quantity);
     }
-});
+    return [...touched.values()].map(before => ({ before, after: products.get(before.id) }));
+}
 
-// DELETE endpoint
-app.delete("/api/products/:id", verifyToken, async (req, res) => {
-    const { id } = req.params;
-    console.log("Received DELETE request for product:", { id, type: typeof id });
+// Names in use for each list, plus the ID prefix of every type
+function summarizeTaxonomy(entries) {
+    const namesOf = kind => entries.filter(e => e.kind === kind).map(e => e.name);
+    return {
+        brands: namesOf("brand"),
+        types: namesOf("type"),
+        materials: namesOf("material"),
+        typePrefixes: Object.fromEntries(entries.filter(e => e.kind === "type").map(e => [e.name, e.prefix]))
+    };
+}
 
-    try {
-        const release = await lockfile.lock(PRODUCTS_FILE);
-        try {
-            let products = [];
-            try {
-                const data = await fs.readFile(PRODUCTS_FILE, "utf8");
-                console.log("Raw products.json data:", data);
-                products = JSON.parse(data);
-                if (!Array.isArray(products)) {
-                    console.error("products.json is not an array:", data);
-                    await fs.writeFile(PRODUCTS_FILE, JSON.stringify([], null, 2));
-                    return res.status(500).json({ message: "Invalid products data format. Reset to empty array." });
-                }
-            } catch (err) {
-                if (err.code === "ENOENT") {
-                    console.log("products.json not found, creating empty file");
-                    await fs.writeFile(PRODUCTS_FILE, JSON.stringify([], null, 2));
-                } else {
-                    console.error("Error reading products.json:", err.message);
-                    return res.status(500).json({ message: "Error accessing product data", error: err.message });
-                }
-            }
+async function loadTaxonomy() {
+    return summarizeTaxonomy(await store.taxonomy.list());
+}
 
-            if (!id || typeof id !== "string" || id.trim() === "") {
-                console.warn("Invalid product ID:", id);
-                return res.status(400).json({ message: "Invalid product ID" });
-            }
+// A fresh store (new install, new SQLite database) starts with the default lists
+async function seedTaxonomy() {
+    await store.transaction(["taxonomy"], async ({ taxonomy }) => {
+        if (taxonomy.list().length > 0) return;
+        const now = new Date().toISOString();
+        DEFAULT_TAXONOMY.forEach(entry => taxonomy.insert({ id: crypto.randomUUID(), ...entry, createdAt: now, updatedAt: now }));
+        console.log("Seeded taxonomy with the default brands, types and materials");
+    });
+}
 
-            const productIndex = products.findIndex(p => p.id === id.trim());
-            console.log("Product search:", { id, found: productIndex !== -1, products: products.map(p => ({ id: p.id })) });
-            if (productIndex === -1) {
-                return res.status(404).json({ message: `Product with ID ${id} not found` });
-            }
+// Products that use a taxonomy entry; materials also count when only a variant uses them
+function productUsesTaxonomyEntry(product, entry) {
+    if (product[entry.kind] === entry.name) return true;
+    return entry.kind === "material" && hasVariants(product) && product.variants.some(v => v.material === entry.name);
+}
 
-            const deletedProduct = products.splice(productIndex, 1)[0];
-            await fs.writeFile(PRODUCTS_FILE, JSON.stringify(products, null, 2));
-            console.log("Products after deletion:", products.map(p => ({ id: p.id })));
+// Checks product fields against PRODUCT_SCHEMA; taxonomy (from summarizeTaxonomy) supplies the allowed
+// brands, types and materials. partial is for updates: only the fields sent are checked and returned.
+// On failure, errors lists every bad field and error sums them up in one line.
+function validateProduct(input, taxonomy, { partial = false } = {}) {
+    const result = validateFields(PRODUCT_SCHEMA, input, { partial, lists: taxonomy });
+    if (result.errors) {
+        return { errors: result.errors, error: result.errors.map(e => e.message).join("; ") };
+    }
+    return result;
+}
 
-            if (deletedProduct.imageUrl) {
-                const imagePath = path.join(__dirname, deletedProduct.imageUrl);
-                try {
-                    await fs.unlink(imagePath);
-                    console.log("Deleted image:", imagePath);
-                } catch (err) {
-                    console.warn("Failed to delete image:", err.message);
-                }
-            }
+// 400 response for a failed validateProduct or validateVariantFields
+function sendValidationError(res, validation) {
+    return res.status(400).json({ message: validation.error, ...(validation.errors ? { errors: validation.errors } : {}) });
+}
 
-            res.json({ message: "Product deleted successfully" });
-        } finally {
-            await release();
+// Field rules for a variant (VARIANT_SCHEMA). Omitted fields fall back to `base`: the parent's values for a new
+// variant, the current variant for an update. options name what sets it apart, e.g. { "size": "16" }.
+function validateVariantFields({ options, ...fields }, base, materials) {
+    const optionsError = message => ({ error: message, errors: [{ field: "options", message }] });
+    const validation = validateFields(VARIANT_SCHEMA, fields, { partial: true, lists: { materials } });
+    if (validation.errors) {
+        return { errors: validation.errors, error: validation.errors.map(e => e.message).join("; ") };
+    }
+    const variant = { options: base.options, material: base.material, stock: base.stock, originalPrice: base.originalPrice, salePrice: base.salePrice, costPrice: base.costPrice, ...validation.fields };
+    if (options !== undefined) {
+        if (!options || typeof options !== "object" || Array.isArray(options)) {
+            return optionsError("options must be an object, e.g. { \"size\": \"16\" }");
+        }
+        const entries = Object.entries(options).map(([key, value]) => [key.trim(), typeof value === "string" || typeof value === "number" ? String(value).trim() : ""]);
+        if (entries.some(([key, value]) => !key || !value)) {
+            return optionsError("Option names and values must be non-empty strings");
+        }
+        variant.options = Object.fromEntries(entries);
+    }
+    if (!variant.options || Object.keys(variant.options).length === 0) {
+        return optionsError("options are required, e.g. { \"size\": \"16\" }");
+    }
+    return { variant };
+}
+
+// Two variants of one product may not share both options and material
+function isSameVariant(a, b) {
+    const key = v => JSON.stringify([Object.entries(v.options).sort(), v.material]);
+    return key(a) === key(b);
+}
+
+// Announces a product change on /api/events. Shoppers never see archived products, so archiving
+// is their "deleted" event and changes to a product while it is archived are not announced.
+async function publishProductEvent(action, before, after) {
+    const product = after || before;
+    const match = { productId: product.id, brands: [...new Set([before && before.brand, after && after.brand].filter(Boolean))] };
+    // Shoppers lose a product when it is archived, or removed while still visible (a snapshot restore can do
+    // that; a purge only removes products that were archived already)
+    if (before && !before.archived && (!after || after.archived)) {
+        events.publish("product.deleted", { id: product.id, brand: product.brand, version: product.version || 0 }, match);
+        return;
+    }
+    if (!after || after.archived) {
+        return;
+    }
+    if (action === "stock") {
+        const variants = hasVariants(after) ? after.variants.map(v => ({ sku: v.sku, stock: v.stock })) : undefined;
+        const data = { id: after.id, brand: after.brand, version: after.version || 0, stock: after.stock, status: getProductStatus(after), variants };
+        events.publish("product.stock-changed", data, match);
+        return;
+    }
+    // Clients dropped an archived product on product.deleted, so bringing it back announces it as new
+    const type = action === "create" || (before && before.archived) ? "product.created" : "product.updated";
+    const data = { id: after.id, brand: after.brand, version: after.version || 0, product: presentProduct(after, await loadActivePromotions(), { showCost: false }) };
+    events.publish(type, data, match);
+}
+
+// Records a product change in the audit log and announces it on the event stream. The snapshot of the
+// new version is what rollbacks restore from. A failed write is reported but never undoes or fails the change itself.
+async function auditProductChange({ action, before, after, userId, ...details }) {
+    const product = after || before;
+    try {
+        await publishProductEvent(action, before, after);
+    } catch (err) {
+        console.error("Error publishing product event:", { action, productId: product.id, error: err.message });
+    }
+    try {
+        await audit.record({
+            action,
+            productId: product.id,
+            version: product.version || 0,
+            userId: userId || null,
+            changes: diffRecords(before, after),
+            replacedImageUrl: before && after && before.imageUrl !== after.imageUrl ? before.imageUrl : null,
+            ...details,
+            snapshot: after
+        });
+    } catch (err) {
+        console.error("Error writing audit log:", { action, productId: product.id, error: err.message });
+    }
+}
+
+// Every stored collection and file-backed store. The collections are read in one transaction, and the files
+// while it still holds them, so orders agree with the stock and coupons they moved. As in order placement,
+// the storage locks come first and the file locks second.
+function readSnapshotData() {
+    const names = Object.keys(COLLECTIONS);
+    return store.transaction(names, async collections => {
+        const data = Object.fromEntries(names.map(name => [name, collections[name].list()]));
+        for (const [name, file] of Object.entries(FILE_STORES)) {
+            data[name] = await withFileLock(`snapshot_${name}`, () => readJsonArray(file), file);
+        }
+        return data;
+    });
+}
+
+// Snapshots the stored data together with the image files its products use
+async function takeSnapshot({ reason, userId, note }) {
+    const data = await readSnapshotData();
+    const imageFiles = data.products.flatMap(getGallery).flatMap(imageUrl => images.filesFor(imageUrl));
+    return snapshots.take({ data, imageFiles, reason, userId, note });
+}
+
+// Taken before anything that deletes or overwrites stored data; when it fails, the operation does not go ahead
+async function snapshotBefore(operation, req) {
+    try {
+        return (await takeSnapshot({ reason: `before-${operation}`, userId: req.user.userId })).snapshot;
+    } catch (err) {
+        console.error("Error taking snapshot:", { operation, error: err.message });
+        throw Object.assign(new Error(`Could not take a snapshot before ${operation}; nothing was changed`), { status: 503 });
+    }
+}
+
+// How often each image URL appears across product galleries: one image reference per appearance
+function countImageReferences(products) {
+    const counts = new Map();
+    for (const imageUrl of products.flatMap(getGallery)) {
+        counts.set(imageUrl, (counts.get(imageUrl) || 0) + 1);
+    }
+    return counts;
+}
+
+// A restored product becomes a new version, above both the current one and any version in its history,
+// so rollbacks and clients holding an older version never mistake it for one they know
+function restoredVersion(record, current, auditEntries) {
+    const known = auditEntries.filter(e => e.productId === record.id).map(e => e.version);
+    return Math.max(record.version || 0, current ? current.version || 0 : 0, ...known) + 1;
+}
+
+// Snapshots are only needed for rollbacks, so API responses leave them out
+function toPublicAuditEntry({ snapshot, ...entry }) {
+    return entry;
+}
+
+// Changes that turn the current product back into a snapshot, apart from ROLLBACK_KEEP_FIELDS.
+// Variants come back with the stock they have now; variants that no longer exist start empty. A field the
+// snapshot lacks is set to undefined, which saving drops, so it is absent again rather than null.
+function buildRollbackChanges(current, snapshot) {
+    const changes = {};
+    for (const field of new Set([...Object.keys(current), ...Object.keys(snapshot)])) {
+        if (!ROLLBACK_KEEP_FIELDS.includes(field)) {
+            changes[field] = snapshot[field];
+        }
+    }
+    if (hasVariants(snapshot)) {
+        const variants = snapshot.variants.map(v => ({ ...v, stock: (findVariant(current, v.sku) || { stock: 0 }).stock }));
+        Object.assign(changes, variantChanges(variants));
+    }
+    return changes;
+}
+
+// Shared by promotions and coupons; returns an error message or null
+function validateDiscount(discountType, value) {
+    if (!DISCOUNT_TYPES.includes(discountType)) {
+        return `Invalid discountType: "${discountType}". Must be one of: ${DISCOUNT_TYPES.join(", ")}`;
+    }
+    if (typeof value !== "number" || !(value > 0) || (discountType === "percentage" && value > 100)) {
+        return "value must be a positive number (at most 100 for percentages)";
+    }
+    return null;
+}
+
+// Dates arrive as ISO strings; null clears an optional date
+function parseOptionalDate(value) {
+    if (value === null) return { date: null };
+    const date = new Date(value);
+    return isNaN(date) ? { error: true } : { date: date.toISOString() };
+}
+
+// Field rules for a promotion. Omitted fields fall back to `base` (the stored promotion on update),
+// so POST and PATCH share them. Taxonomy scopes must name existing entries.
+function validatePromotionFields(body, base, taxonomy) {
+    const promotion = { ...base };
+    const { name, discountType, value, scope, values, startsAt, endsAt } = body;
+    if (name !== undefined) {
+        if (typeof name !== "string" || !name.trim()) return { error: "name cannot be empty" };
+        promotion.name = name.trim();
+    }
+    if (discountType !== undefined) promotion.discountType = discountType;
+    if (value !== undefined) promotion.value = value;
+    if (scope !== undefined) promotion.scope = scope;
+    if (values !== undefined) {
+        if (!Array.isArray(values) || values.length === 0 || values.some(v => typeof v !== "string" || !v.trim())) {
+            return { error: "values must be a non-empty array of names or product IDs" };
+        }
+        promotion.values = values.map(v => v.trim());
+    }
+    for (const [field, input] of [["startsAt", startsAt], ["endsAt", endsAt]]) {
+        if (input === undefined) continue;
+        const parsed = input === null ? { error: true } : parseOptionalDate(input);
+        if (parsed.error) return { error: `${field} must be a valid date` };
+        promotion[field] = parsed.date;
+    }
+
+    const missing = ["name", "discountType", "value", "scope", "values", "startsAt", "endsAt"].filter(field => promotion[field] === undefined);
+    if (missing.length > 0) {
+        return { error: `Missing fields: ${missing.join(", ")}` };
+    }
+    const discountError = validateDiscount(promotion.discountType, promotion.value);
+    if (discountError) return { error: discountError };
+    if (!PROMOTION_SCOPES.includes(promotion.scope)) {
+        return { error: `Invalid scope: "${promotion.scope}". Must be one of: ${PROMOTION_SCOPES.join(", ")}` };
+    }
+    if (promotion.scope !== "products") {
+        const list = Object.keys(TAXONOMY_KINDS).find(key => TAXONOMY_KINDS[key] === promotion.scope);
+        const known = taxonomy[list];
+        const unknown = promotion.values.find(v => !known.includes(v));
+        if (unknown) return { error: `Unknown ${promotion.scope}: "${unknown}"` };
+    }
+    if (new Date(promotion.endsAt) <= new Date(promotion.startsAt)) {
+        return { error: "endsAt must be after startsAt" };
+    }
+    return { promotion };
+}
+
+// Field rules for a coupon, shared by POST and PATCH like validatePromotionFields.
+// usageLimit null means unlimited; the dates are optional.
+function validateCouponFields(body, base) {
+    const coupon = { minOrderValue: 0, usageLimit: null, startsAt: null, endsAt: null, ...base };
+    const { code, discountType, value, minOrderValue, usageLimit, startsAt, endsAt } = body;
+    if (code !== undefined) {
+        const normalizedCode = typeof code === "string" ? code.trim().toUpperCase() : "";
+        if (!COUPON_CODE_PATTERN.test(normalizedCode)) {
+            return { error: "code must be 3-32 letters, digits, dashes or underscores" };
+        }
+        coupon.code = normalizedCode;
+    }
+    if (discountType !== undefined) coupon.discountType = discountType;
+    if (value !== undefined) coupon.value = value;
+    if (minOrderValue !== undefined) {
+        if (typeof minOrderValue !== "number" || minOrderValue < 0) return { error: "minOrderValue must be a number of at least 0" };
+        coupon.minOrderValue = minOrderValue;
+    }
+    if (usageLimit !== undefined) {
+        if (usageLimit !== null && (!Number.isInteger(usageLimit) || usageLimit < 1)) {
+            return { error: "usageLimit must be a positive integer, or null for unlimited" };
+        }
+        coupon.usageLimit = usageLimit;
+    }
+    for (const [field, input] of [["startsAt", startsAt], ["endsAt", endsAt]]) {
+        if (input === undefined) continue;
+        const parsed = parseOptionalDate(input);
+        if (parsed.error) return { error: `${field} must be a valid date or null` };
+        coupon[field] = parsed.date;
+    }
+
+    const missing = ["code", "discountType", "value"].filter(field => coupon[field] === undefined);
+    if (missing.length > 0) {
+        return { error: `Missing fields: ${missing.join(", ")}` };
+    }
+    const discountError = validateDiscount(coupon.discountType, coupon.value);
+    if (discountError) return { error: discountError };
+    if (coupon.startsAt && coupon.endsAt && new Date(coupon.endsAt) <= new Date(coupon.startsAt)) {
+        return { error: "endsAt must be after startsAt" };
+    }
+    return { coupon };
+}
+
+// The end of a date range: a date alone (2026-10-18) covers that whole day, up to its last millisecond (UTC)
+function parseEndDate(value) {
+    const date = new Date(value);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        date.setUTCHours(23, 59, 59, 999);
+    }
+    return date;
+}
+
+// Every stocked line of a product: its variants, or the product itself. Variants without
+// their own cost price fall back to the product's.
+function stockLines(product) {
+    if (!hasVariants(product)) {
+        return [{ sku: null, item: product, material: product.material, costPrice: product.costPrice }];
+    }
+    return product.variants.map(v => ({ sku: v.sku, item: v, material: v.material, costPrice: v.costPrice !== undefined ? v.costPrice : product.costPrice }));
+}
+
+// Reports take the request query and return { data, sheet } (or { error, status } for a bad query).
+// data is the JSON response; sheet describes the same figures for the .xlsx download.
+const REPORTS = {
+    // Stock value at cost and at the current selling price, grouped by ?groupBy=brand|type|material.
+    // Units without a cost price are counted separately instead of being valued at 0.
+    async "stock-value"(query) {
+        const groupBy = query.groupBy || "brand";
+        if (!REPORT_GROUP_FIELDS.includes(groupBy)) {
+            return { error: `Invalid groupBy: "${groupBy}". Must be one of: ${REPORT_GROUP_FIELDS.join(", ")}`, status: 400 };
+        }
+        const includeArchived = query.includeArchived === "true";
+        const products = (await store.products.list()).filter(p => includeArchived || !p.archived);
+        const promotions = await loadActivePromotions();
+
+        const groups = new Map();
+        for (const product of products) {
+            for (const line of stockLines(product)) {
+                const key = groupBy === "material" ? line.material : product[groupBy];
+                const group = groups.get(key) || { [groupBy]: key, units: 0, costValue: 0, saleValue: 0, unitsWithoutCost: 0 };
+                group.units += line.item.stock;
+                group.saleValue += line.item.stock * getEffectivePrice(line.item, product, promotions);
+                if (line.costPrice !== undefined) {
+                    group.costValue += line.item.stock * line.costPrice;
+                } else {
+                    group.unitsWithoutCost += line.item.stock;
+                }
+                groups.set(key, group);
+            }
+        }
+        const rows = [...groups.values()].sort((a, b) => b.saleValue - a.saleValue);
+        const totals = rows.reduce((sum, row) => ({
+            units: sum.units + row.units,
+            costValue: sum.costValue + row.costValue,
+            saleValue: sum.saleValue + row.saleValue,
+            unitsWithoutCost: sum.unitsWithoutCost + row.unitsWithoutCost
+        }), { units: 0, costValue: 0, saleValue: 0, unitsWithoutCost: 0 });
+
+        return {
+            data: { groupBy, includeArchived, groups: rows, totals },
+            sheet: {
+                name: "Stock value",
+                columns: [
+                    { header: groupBy.charAt(0).toUpperCase() + groupBy.slice(1), key: groupBy, width: 24 },
+                    { header: "Units", key: "units", width: 10 },
+                    { header: "Value at cost", key: "costValue", width: 18, money: true },
+                    { header: "Value at sale price", key: "saleValue", width: 20, money: true },
+                    { header: "Units without cost", key: "unitsWithoutCost", width: 18 }
+                ],
+                rows,
+                totals: { [groupBy]: "Total", ...totals }
+            }
+        };
+    },
+
+    // Active lines (products or variants) with stock below ?threshold=, lowest stock first
+    async "low-stock"(query) {
+        const threshold = query.threshold !== undefined ? parseInt(query.threshold) : LOW_STOCK_THRESHOLD;
+        if (isNaN(threshold) || threshold < 1) {
+            return { error: "threshold must be a positive integer", status: 400 };
+        }
+        const products = (await store.products.list()).filter(p => !p.archived);
+        const items = products
+            .flatMap(product => stockLines(product).map(line => ({
+                productId: product.id,
+                sku: line.sku,
+                name: product.name,
+                brand: product.brand,
+                type: product.type,
+                material: line.material,
+                stock: line.item.stock
+            })))
+            .filter(item => item.stock < threshold)
+            .sort((a, b) => a.stock - b.stock || a.productId.localeCompare(b.productId));
+
+        return {
+            data: { threshold, items },
+            sheet: {
+                name: "Low stock",
+                columns: [
+                    { header: "Product", key: "productId", width: 12 },
+                    { header: "SKU", key: "sku", width: 14 },
+                    { header: "Name", key: "name", width: 32 },
+                    { header: "Brand", key: "brand", width: 20 },
+                    { header: "Type", key: "type", width: 14 },
+                    { header: "Material", key: "material", width: 14 },
+                    { header: "Stock", key: "stock", width: 10 }
+                ],
+                rows: items
+            }
+        };
+    },
+
+    // Units sold and revenue per product for orders placed between ?from= and ?to= (cancelled orders
+    // excluded). Line revenue is before coupon discounts, which only exist per order and are totalled separately.
+    async sales(query) {
+        const fromDate = query.from ? new Date(query.from) : null;
+        const toDate = query.to ? parseEndDate(query.to) : null;
+        if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+            return { error: "from and to must be valid dates", status: 400 };
+        }
+        const orders = (await readJsonArray(ORDERS_FILE))
+            .filter(o => o.status !== "cancelled")
+            .filter(o => !fromDate || new Date(o.createdAt) >= fromDate)
+            .filter(o => !toDate || new Date(o.createdAt) <= toDate);
+
+        const perProduct = new Map();
+        for (const order of orders) {
+            for (const item of order.items) {
+                const row = perProduct.get(item.productId) || { productId: item.productId, name: item.name, units: 0, revenue: 0, orders: 0 };
+                row.units += item.quantity;
+                row.revenue += item.lineTotal;
+                row.orders += 1;
+                perProduct.set(item.productId, row);
+            }
+        }
+        const products = [...perProduct.values()].sort((a, b) => b.revenue - a.revenue);
+        const grossRevenue = products.reduce((sum, row) => sum + row.revenue, 0);
+        // Orders from before coupons existed have no discount field
+        const discount = orders.reduce((sum, o) => sum + (o.discount || 0), 0);
+        const totals = {
+            orders: orders.length,
+            units: products.reduce((sum, row) => sum + row.units, 0),
+            grossRevenue,
+            discount,
+            netRevenue: grossRevenue - discount
+        };
+
+        return {
+            data: { from: fromDate && fromDate.toISOString(), to: toDate && toDate.toISOString(), products, totals },
+            sheet: {
+                name: "Sales",
+                columns: [
+                    { header: "Product", key: "productId", width: 12 },
+                    { header: "Name", key: "name", width: 32 },
+                    { header: "Units", key: "units", width: 10 },
+                    { header: "Revenue", key: "revenue", width: 18, money: true },
+                    { header: "Orders", key: "orders", width: 10 }
+                ],
+                rows: products,
+                totals: { productId: "Total", units: totals.units, revenue: grossRevenue, orders: totals.orders }
+            }
+        };
+    }
+};
+
+// Lay a report sheet out as a workbook: bold frozen header, money columns formatted, totals row in bold
+function buildReportWorkbook(sheet) {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet(sheet.name);
+    worksheet.columns = sheet.columns.map(({ header, key, width }) => ({ header, key, width }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.views = [{ state: "frozen", ySplit: 1 }];
+    sheet.rows.forEach(row => worksheet.addRow(row));
+    if (sheet.totals) {
+        worksheet.addRow(sheet.totals).font = { bold: true };
+    }
+    sheet.columns.filter(c => c.money).forEach(c => {
+        worksheet.getColumn(c.key).numFmt = MONEY_FORMAT;
+    });
+    return workbook;
+}
+
+// Products a bulk operation targets: one product by id, or every non-archived product matching
+// filter { ids, brand, type, material } (each a value or a list; material also matches variants)
+function selectBulkTargets(operation, products) {
+    if (operation.id !== undefined) {
+        const product = products.find(p => p.id === operation.id);
+        return product ? { targets: [product] } : { error: `Product with ID ${operation.id} not found` };
+    }
+    const filter = operation.filter;
+    if (!filter || typeof filter !== "object" || Object.keys(filter).length === 0) {
+        return { error: "Each operation needs an id or a non-empty filter" };
+    }
+    const unknown = Object.keys(filter).find(key => !BULK_FILTER_FIELDS.includes(key));
+    if (unknown) {
+        return { error: `Unknown filter field: "${unknown}". Must be one of: ${BULK_FILTER_FIELDS.join(", ")}` };
+    }
+    if (operation.version !== undefined) {
+        return { error: "version can only be checked on operations that target one product by id" };
+    }
+    const wanted = field => filter[field] === undefined ? null : [].concat(filter[field]).map(String);
+    const ids = wanted("ids");
+    const brands = wanted("brand");
+    const types = wanted("type");
+    const materials = wanted("material");
+    const targets = products.filter(p => !p.archived &&
+        (!ids || ids.includes(p.id)) &&
+        (!brands || brands.includes(p.brand)) &&
+        (!types || types.includes(p.type)) &&
+        (!materials || materials.includes(p.material) || (hasVariants(p) && p.variants.some(v => materials.includes(v.material)))));
+    return { targets };
+}
+
+// Applies one bulk operation to one product through `products` (a transaction handle or a draft
+// with the same update()). Returns the updated product, or { error } without changing anything.
+function applyBulkOperation(products, product, operation, taxonomy, user) {
+    if (operation.version !== undefined && parseInt(operation.version) !== (product.version || 0)) {
+        return { error: `Product ${product.id} was modified by another user (version ${product.version || 0})` };
+    }
+    switch (operation.action) {
+        case "update": {
+            const validation = validateProduct(operation.changes || {}, taxonomy, { partial: true });
+            if (validation.error) {
+                return { error: validation.error, errors: validation.errors };
+            }
+            const updates = validation.fields;
+            // salePercentOff sets the sale price (of the product and each variant) relative to its original price; 0 ends the sale
+            if (operation.salePercentOff !== undefined) {
+                const percentOff = Number(operation.salePercentOff);
+                if (isNaN(percentOff) || percentOff < 0 || percentOff >= 100) {
+                    return { error: "salePercentOff must be a number from 0 to below 100" };
+                }
+                const salePriceFor = item => percentOff === 0 ? 0 : applyDiscount(item.originalPrice, { discountType: "percentage", value: percentOff });
+                updates.salePrice = salePriceFor({ originalPrice: updates.originalPrice || product.originalPrice });
+                if (hasVariants(product)) {
+                    updates.variants = product.variants.map(v => ({ ...v, salePrice: salePriceFor(v) }));
+                }
+            }
+            if (Object.keys(updates).length === 0) {
+                return { error: "No valid fields to update" };
+            }
+            if (updates.stock !== undefined && hasVariants(product)) {
+                return { error: `Stock of ${product.id} is set per variant` };
+            }
+            return { product: products.update(product.id, updates) };
+        }
+        case "delete": {
+            if (user.role !== "admin") {
+                return { error: "Only admins can archive products" };
+            }
+            if (product.archived) {
+                return { error: `Product ${product.id} is already archived` };
+            }
+            return { product: products.update(product.id, { archived: true, archivedAt: new Date().toISOString(), archivedBy: user.userId }) };
+        }
+        case "stock": {
+            const delta = Number(operation.delta);
+            if (!Number.isInteger(delta) || delta === 0) {
+                return { error: "delta must be a non-zero integer" };
+            }
+            const purchasable = resolvePurchasable(product, operation.sku);
+            if (purchasable.error) {
+                return { error: purchasable.error };
+            }
+            if (purchasable.item.stock + delta < 0) {
+                return { error: `Stock of ${operation.sku || product.id} would drop below 0 (currently ${purchasable.item.stock})` };
+            }
+            return { product: adjustStock(products, product, operation.sku, delta) };
+        }
+        default:
+            return { error: `Invalid action: "${operation.action}". Must be one of: ${BULK_ACTIONS.join(", ")}` };
+    }
+}
+
+// Column layout shared by the catalogue export and import
+const PRODUCT_SHEET_COLUMNS = [
+    { header: "id", key: "id", width: 12 },
+    { header: "name", key: "name", width: 32 },
+    { header: "brand", key: "brand", width: 20 },
+    { header: "type", key: "type", width: 14 },
+    { header: "material", key: "material", width: 14 },
+    { header: "stock", key: "stock", width: 10 },
+    { header: "originalPrice", key: "originalPrice", width: 16 },
+    { header: "salePrice", key: "salePrice", width: 16 },
+    { header: "costPrice", key: "costPrice", width: 16 },
+    { header: "imageUrl", key: "imageUrl", width: 48 },
+    { header: "version", key: "version", width: 10 }
+];
+
+// Read the first worksheet into plain objects keyed by the header row
+async function readProductSheet(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) {
+        throw new Error("The workbook has no worksheets");
+    }
+    const headers = [];
+    worksheet.getRow(1).eachCell((cell, colNumber) => {
+        headers[colNumber] = cell.text.trim();
+    });
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+        const values = { rowNumber };
+        headers.forEach((header, colNumber) => {
+            if (header) {
+                values[header] = row.getCell(colNumber).text.trim();
+            }
+        });
+        rows.push(values);
+    });
+    return rows;
+}
+
+// Product IDs are the type's two-letter prefix plus a running number (NH0001). IDs from before
+// configurable prefixes (type initial + brand initial) keep their old form.
+function generateProductCode(products, prefix) {
+    if (typeof prefix !== "string" || !TYPE_PREFIX_PATTERN.test(prefix)) {
+        console.error("Invalid product ID prefix:", prefix);
+        throw new Error("The product type has no valid two-letter ID prefix");
+    }
+    const filteredNumbers = products
+        .filter(p => p && p.id && typeof p.id === "string" && p.id.startsWith(prefix))
+        .map(p => {
+            const numberPart = p.id.replace(prefix, "").trim();
+            const number = parseInt(numberPart, 10);
+            return isNaN(number) || number < 0 ? null : number;
+        })
+        .filter(num => num !== null);
+    const maxNumber = filteredNumbers.length > 0 ? Math.max(...filteredNumbers) : 0;
+    const newNumber = maxNumber + 1;
+    const newCode = `${prefix}${newNumber.toString().padStart(4, "0")}`;
+    if (products.some(p => p?.id === newCode)) {
+        console.warn("Duplicate ID detected, regenerating:", newCode);
+        return generateProductCode(products, prefix);
+    }
+    return newCode;
+}
+
+// Variant SKUs extend the parent ID (NC0001-01, NC0001-02, ...). The counter lives on the
+// parent so a removed variant's SKU is never handed out again; old orders still refer to it.
+function generateVariantSku(product) {
+    const variantSequence = (product.variantSequence || 0) + 1;
+    return { sku: `${product.id}-${String(variantSequence).padStart(2, "0")}`, variantSequence };
+}
+
+// Login route
+app.post("/api/login", async (req, res) => {
+    const { username, password } = req.body || {};
+    console.log("Login attempt:", { username });
+    if (typeof username !== "string" || typeof password !== "string") {
+        return res.status(400).json({ message: "username and password are required" });
+    }
+
+    pruneFailedLogins(Date.now());
+    const attemptKey = `${req.ip} ${username.toLowerCase()}`;
+    const attempts = failedLogins.get(attemptKey);
+    if (attempts && attempts.lockedUntil > Date.now()) {
+        const retryAfter = Math.ceil((attempts.lockedUntil - Date.now()) / 1000);
+        console.log("Login blocked: Too many failed attempts", { username, retryAfter });
+        res.setHeader("Retry-After", retryAfter);
+        return res.status(429).json({ message: `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s)` });
+    }
+
+    try {
+        const users = await readJsonArray(USERS_FILE);
+        const user = users.find(u => u.username.toLowerCase() === username.toLowerCase());
+        if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+            // A lockout that has run out starts the count again
+            const failures = (attempts && !attempts.lockedUntil ? attempts.failures : 0) + 1;
+            if (failures >= LOGIN_MAX_FAILURES) {
+                failedLogins.set(attemptKey, { failures: 0, lockedUntil: Date.now() + LOGIN_LOCKOUT_MS, lastFailureAt: Date.now() });
+            } else {
+                failedLogins.set(attemptKey, { failures, lockedUntil: 0, lastFailureAt: Date.now() });
+            }
+            console.log("Login failed: Invalid credentials", { username, failures });
+            return res.status(401).json({ message: "Invalid username or password" });
+        }
+        if (user.disabled) {
+            console.log("Login failed: Account disabled", { userId: user.id });
+            return res.status(403).json({ message: "This account has been disabled" });
+        }
+        failedLogins.delete(attemptKey);
+        const tokens = await issueTokens(user);
+        console.log("Login successful:", { username: user.username, userId: user.id, role: user.role });
+        res.json({ success: true, ...tokens, user: toPublicUser(user) });
+    } catch (err) {
+        console.error("Error during login:", err);
+        res.status(500).json({ message: "Error during login" });
+    }
+});
+
+// Exchange a refresh token for a new access token; the refresh token is rotated on every use
+app.post("/api/token/refresh", async (req, res) => {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken || typeof refreshToken !== "string") {
+        return res.status(400).json({ message: "refreshToken is required" });
+    }
+
+    try {
+        const users = await readJsonArray(USERS_FILE);
+        const result = await withFileLock("rotate_refresh_token", async () => {
+            const tokens = pruneExpiredTokens(await readJsonArray(REFRESH_TOKENS_FILE));
+            const stored = tokens.find(t => t.tokenHash === hashRefreshToken(refreshToken));
+            if (!stored) {
+                return { error: "Invalid or expired refresh token", status: 401 };
+            }
+            const now = new Date().toISOString();
+            if (stored.revokedAt) {
+                // A rotated token being replayed means it was copied; end all of that user's sessions
+                console.warn("Refresh token reuse detected:", { userId: stored.userId, tokenId: stored.id });
+                tokens.filter(t => t.userId === stored.userId && !t.revokedAt).forEach(t => { t.revokedAt = now; });
+                await fs.writeFile(REFRESH_TOKENS_FILE, JSON.stringify(tokens, null, 2));
+                return { error: "Refresh token has already been used", status: 401 };
+            }
+            const user = users.find(u => u.id === stored.userId);
+            if (!user || user.disabled) {
+                stored.revokedAt = now;
+                await fs.writeFile(REFRESH_TOKENS_FILE, JSON.stringify(tokens, null, 2));
+                return { error: "Account is disabled or no longer exists", status: 401 };
+            }
+
+            const next = createRefreshTokenRecord(user);
+            stored.revokedAt = now;
+            stored.replacedBy = next.record.id;
+            tokens.push(next.record);
+            await fs.writeFile(REFRESH_TOKENS_FILE, JSON.stringify(tokens, null, 2));
+            return { user, refreshToken: next.refreshToken };
+        }, REFRESH_TOKENS_FILE);
+
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        console.log("Refresh token rotated:", { userId: result.user.id });
+        res.json({ success: true, token: signToken(result.user), refreshToken: result.refreshToken });
+    } catch (err) {
+        console.error("Error refreshing token:", err);
+        res.status(500).json({ message: "Error refreshing token" });
+    }
+});
+
+// Revoke the current access token and the given refresh token (or all of them with allSessions: true)
+app.post("/api/logout", verifyToken, async (req, res) => {
+    const { refreshToken, allSessions } = req.body || {};
+    try {
+        if (req.user.jti) {
+            await withFileLock("revoke_access_token", async () => {
+                const revokedTokens = pruneExpiredTokens(await readJsonArray(REVOKED_TOKENS_FILE));
+                revokedTokens.push({ jti: req.user.jti, userId: req.user.userId, expiresAt: new Date(req.user.exp * 1000).toISOString() });
+                await fs.writeFile(REVOKED_TOKENS_FILE, JSON.stringify(revokedTokens, null, 2));
+            }, REVOKED_TOKENS_FILE);
+        }
+
+        if (allSessions === true) {
+            await revokeUserRefreshTokens(req.user.userId);
+        } else if (typeof refreshToken === "string" && refreshToken) {
+            await withFileLock("revoke_refresh_token", async () => {
+                const tokens = pruneExpiredTokens(await readJsonArray(REFRESH_TOKENS_FILE));
+                const stored = tokens.find(t => t.tokenHash === hashRefreshToken(refreshToken) && t.userId === req.user.userId);
+                if (stored && !stored.revokedAt) {
+                    stored.revokedAt = new Date().toISOString();
+                }
+                await fs.writeFile(REFRESH_TOKENS_FILE, JSON.stringify(tokens, null, 2));
+            }, REFRESH_TOKENS_FILE);
+        }
+
+        console.log("Logout:", { userId: req.user.userId, allSessions: allSessions === true });
+        res.json({ success: true });
+    } catch (err) {
+        console.error("Error during logout:", err);
+        res.status(500).json({ message: "Error during logout" });
+    }
+});
+
+// Customer self-registration
+app.post("/api/register", async (req, res) => {
+    const { username, password } = req.body || {};
+    const validationError = validateAccountFields({ username, password });
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+    try {
+        const result = await createUser({ username, password, role: "customer" });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        console.log("Customer registered:", { userId: result.user.id, username });
+        const tokens = await issueTokens(result.user);
+        res.status(201).json({ success: true, ...tokens, user: toPublicUser(result.user) });
+    } catch (err) {
+        console.error("Error registering user:", err);
+        res.status(500).json({ message: "Error registering user" });
+    }
+});
+
+// Current user's account
+app.get("/api/me", verifyToken, async (req, res) => {
+    try {
+        const users = await readJsonArray(USERS_FILE);
+        const user = users.find(u => u.id === req.user.userId);
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+        res.json(toPublicUser(user));
+    } catch (err) {
+        console.error("Error reading user:", err);
+        res.status(500).json({ message: "Error reading user" });
+    }
+});
+
+// List accounts (admin)
+app.get("/api/users", verifyToken, requireRole("admin"), async (req, res) => {
+    const { role } = req.query;
+    try {
+        const users = await readJsonArray(USERS_FILE);
+        res.json(users.filter(u => !role || u.role === role).map(toPublicUser));
+    } catch (err) {
+        console.error("Error reading users:", err);
+        res.status(500).json({ message: "Error reading users" });
+    }
+});
+
+// Create a staff, admin or customer account (admin)
+app.post("/api/users", verifyToken, requireRole("admin"), async (req, res) => {
+    const { username, password, role = "staff" } = req.body || {};
+    const validationError = validateAccountFields({ username, password, role });
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+    try {
+        const result = await createUser({ username, password, role });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        console.log("User created:", { userId: result.user.id, username, role, by: req.user.userId });
+        res.status(201).json(toPublicUser(result.user));
+    } catch (err) {
+        console.error("Error creating user:", err);
+        res.status(500).json({ message: "Error creating user" });
+    }
+});
+
+// Change an account's role, password or disabled flag (admin)
+app.patch("/api/users/:id", verifyToken, requireRole("admin"), async (req, res) => {
+    const { id } = req.params;
+    const { role, password, disabled } = req.body || {};
+    if (role !== undefined && !USER_ROLES.includes(role)) {
+        return res.status(400).json({ message: `Invalid role: "${role}". Must be one of: ${USER_ROLES.join(", ")}` });
+    }
+    if (password !== undefined && (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH)) {
+        return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    if (disabled !== undefined && typeof disabled !== "boolean") {
+        return res.status(400).json({ message: "disabled must be true or false" });
+    }
+    if (id === req.user.userId && (disabled === true || (role !== undefined && role !== "admin"))) {
+        return res.status(400).json({ message: "You cannot disable or demote your own account" });
+    }
+
+    try {
+        const passwordHash = password !== undefined ? await hashPassword(password) : undefined;
+        const result = await withFileLock(`update_user_${id}`, async () => {
+            const users = await readJsonArray(USERS_FILE);
+            const user = users.find(u => u.id === id);
+            if (!user) {
+                return { error: `User with ID ${id} not found`, status: 404 };
+            }
+            if (role !== undefined) user.role = role;
+            if (passwordHash !== undefined) user.passwordHash = passwordHash;
+            if (disabled !== undefined) user.disabled = disabled;
+            user.updatedAt = new Date().toISOString();
+            await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 2));
+            return { user };
+        }, USERS_FILE);
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        if (disabled === true || password !== undefined) {
+            await revokeUserRefreshTokens(id);
+        }
+        console.log("User updated:", { userId: id, role, disabled, passwordChanged: password !== undefined, by: req.user.userId });
+        res.json(toPublicUser(result.user));
+    } catch (err) {
+        console.error("Error updating user:", { id, error: err.message });
+        res.status(500).json({ message: "Error updating user" });
+    }
+});
+
+// Get products with optional search, filters, sorting and pagination
+// Archived products are hidden unless staff ask for them with ?status=archived
+app.get("/api/products", optionalToken, async (req, res) => {
+    const { q, minPrice, maxPrice, onSale, inStock, sort = "id", order = "asc", page, limit } = req.query;
+    const brands = parseListParam(req.query.brand);
+    const types = parseListParam(req.query.type);
+    const materials = parseListParam(req.query.material);
+    const statuses = req.query.status !== undefined ? parseListParam(req.query.status) : ["active", "out_of_stock"];
+
+    const invalidStatus = statuses.find(s => !PRODUCT_STATUSES.includes(s));
+    if (invalidStatus) {
+        return res.status(400).json({ message: `Invalid status: "${invalidStatus}". Must be one of: ${PRODUCT_STATUSES.join(", ")}` });
+    }
+    const isStaff = Boolean(req.user && (req.user.role === "admin" || req.user.role === "staff"));
+    if (statuses.includes("archived") && !isStaff) {
+        return res.status(403).json({ message: "Only staff can list archived products" });
+    }
+
+    const parsedMinPrice = minPrice !== undefined ? parseFloat(minPrice) : null;
+    const parsedMaxPrice = maxPrice !== undefined ? parseFloat(maxPrice) : null;
+    if ((parsedMinPrice !== null && (isNaN(parsedMinPrice) || parsedMinPrice < 0)) ||
+        (parsedMaxPrice !== null && (isNaN(parsedMaxPrice) || parsedMaxPrice < 0))) {
+        return res.status(400).json({ message: "Invalid price range" });
+    }
+    if (!PRODUCT_SORT_FIELDS[sort]) {
+        return res.status(400).json({ message: `Invalid sort: "${sort}". Must be one of: ${Object.keys(PRODUCT_SORT_FIELDS).join(", ")}` });
+    }
+    if (order !== "asc" && order !== "desc") {
+        return res.status(400).json({ message: "Invalid order: must be asc or desc" });
+    }
+    const parsedPage = page !== undefined ? parseInt(page, 10) : 1;
+    const parsedLimit = limit !== undefined ? parseInt(limit, 10) : null;
+    if (isNaN(parsedPage) || parsedPage < 1 || (parsedLimit !== null && (isNaN(parsedLimit) || parsedLimit < 1))) {
+        return res.status(400).json({ message: "page and limit must be positive integers" });
+    }
+
+    try {
+        const taxonomy = await loadTaxonomy();
+        const invalidBrand = brands.find(b => !taxonomy.brands.includes(b));
+        if (invalidBrand) {
+            return res.status(400).json({ message: `Invalid brand: "${invalidBrand}". Must be one of: ${taxonomy.brands.join(", ")}` });
+        }
+        const invalidType = types.find(t => !taxonomy.types.includes(t));
+        if (invalidType) {
+            return res.status(400).json({ message: `Invalid type: "${invalidType}". Must be one of: ${taxonomy.types.join(", ")}` });
+        }
+        const invalidMaterial = materials.find(m => !taxonomy.materials.includes(m));
+        if (invalidMaterial) {
+            return res.status(400).json({ message: `Invalid material: "${invalidMaterial}". Must be one of: ${taxonomy.materials.join(", ")}` });
+        }
+
+        const products = await store.products.list();
+        const promotions = await loadActivePromotions();
+        const ratingFor = summarizeRatings(await store.reviews.list());
+        const searchTerms = q ? normalizeSearchText(String(q)).split(/\s+/).filter(Boolean) : [];
+        const filtered = products.filter(p => {
+            if (!statuses.includes(getProductStatus(p))) return false;
+            if (searchTerms.length > 0) {
+                const name = normalizeSearchText(p.name || "");
+                if (!searchTerms.every(term => name.includes(term))) return false;
+            }
+            if (brands.length > 0 && !brands.includes(p.brand)) return false;
+            if (types.length > 0 && !types.includes(p.type)) return false;
+            // A product with variants matches when any of its variants does
+            const purchasables = hasVariants(p) ? p.variants : [p];
+            if (materials.length > 0 && !materials.includes(p.material) && !purchasables.some(v => materials.includes(v.material))) return false;
+            const priceRange = getPriceRange(p, promotions);
+            if (parsedMinPrice !== null && priceRange.max < parsedMinPrice) return false;
+            if (parsedMaxPrice !== null && priceRange.min > parsedMaxPrice) return false;
+            if (onSale === "true" && !purchasables.some(v => getEffectivePrice(v, p, promotions) < v.originalPrice)) return false;
+            if (inStock === "true" && !(p.stock > 0)) return false;
+            return true;
+        });
+
+        const sortKey = PRODUCT_SORT_FIELDS[sort];
+        const direction = order === "desc" ? -1 : 1;
+        filtered.sort((a, b) => {
+            const keyA = sortKey(a, promotions);
+            const keyB = sortKey(b, promotions);
+            return (keyA < keyB ? -1 : keyA > keyB ? 1 : 0) * direction;
+        });
+
+        // Without a limit the whole result set is returned as one page
+        const pageSize = parsedLimit || Math.max(filtered.length, 1);
+        const start = (parsedPage - 1) * pageSize;
+        res.json({
+            products: filtered.slice(start, start + pageSize).map(p => ({ ...presentProduct(p, promotions, { showCost: isStaff }), ...ratingFor(p.id) })),
+            total: filtered.length,
+            page: parsedPage,
+            limit: pageSize,
+            totalPages: Math.ceil(filtered.length / pageSize)
+        });
+    } catch (err) {
+        console.error("Error reading products:", err);
+        res.status(500).json({ message: "Error reading products" });
+    }
+});
+
+// Export the catalogue as a spreadsheet (admin/staff)
+app.get("/api/products/export.xlsx", verifyToken, requireRole("admin", "staff"), async (req, res) => {
+    try {
+        const products = await store.products.list();
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet("Products");
+        worksheet.columns = PRODUCT_SHEET_COLUMNS;
+        worksheet.getRow(1).font = { bold: true };
+        worksheet.views = [{ state: "frozen", ySplit: 1 }];
+        products.forEach(p => worksheet.addRow({ ...p, version: p.version || 0 }));
+
+        res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+        res.setHeader("Content-Disposition", `attachment; filename="products-${new Date().toISOString().slice(0, 10)}.xlsx"`);
+        await workbook.xlsx.write(res);
+        res.end();
+    } catch (err) {
+        console.error("Error exporting products:", err);
+        res.status(500).json({ message: "Error exporting products" });
+    }
+});
+
+// Import a spreadsheet (admin/staff). Rows with an id update that product, rows without one create a product.
+// The import is all-or-nothing; ?dryRun=true only reports what would happen. Rows that match their product
+// exactly are counted as unchanged and not written, so re-importing an export leaves the history alone.
+app.post("/api/products/import", verifyToken, requireRole("admin", "staff"), spreadsheetFile, async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ message: "An .xlsx file is required" });
+    }
+    const dryRun = req.query.dryRun === "true" || (req.body && req.body.dryRun === "true");
+
+    let rows;
+    try {
+        rows = await readProductSheet(req.file.buffer);
+    } catch (err) {
+        console.error("Error parsing spreadsheet:", err.message);
+        return res.status(400).json({ message: `Could not read spreadsheet: ${err.message}` });
+    }
+
+    try {
+        if (!dryRun) {
+            await snapshotBefore("import", req);
+        }
+        const result = await store.transaction(["products", "taxonomy"], async ({ products: productStore, taxonomy: taxonomyStore }) => {
+            // Rows are checked against a working copy; the store is only touched once every row is valid
+            const products = productStore.list();
+            const taxonomy = summarizeTaxonomy(taxonomyStore.list());
+            const errors = [];
+            const seenIds = new Set();
+            const updates = [];
+            const inserts = [];
+            let unchanged = 0;
+
+            for (const row of rows) {
+                const validation = validateProduct(row, taxonomy);
+                const rowErrors = validation.errors ? validation.errors.map(e => e.message) : [];
+                const imageUrl = row.imageUrl || null;
+                // A product's current image passes as it is; any other must be an upload that is still on disk
+                const current = row.id ? products.find(p => p.id === row.id) : null;
+                if (imageUrl && !(current && current.imageUrl === imageUrl)) {
+                    if (!isUploadUrl(imageUrl)) {
+                        rowErrors.push("imageUrl must point to a file in /backend/uploads/");
+                    } else if (!(await images.exists(imageUrl))) {
+                        rowErrors.push(`Image ${imageUrl} is not stored`);
+                    }
+                }
+
+                if (row.id) {
+                    const existing = products.find(p => p.id === row.id);
+                    if (!existing) {
+                        rowErrors.push(`Product with ID ${row.id} not found`);
+                    } else if (seenIds.has(row.id)) {
+                        rowErrors.push(`Product ${row.id} appears more than once`);
+                    } else if (row.version && parseInt(row.version) !== (existing.version || 0)) {
+                        rowErrors.push(`Product ${row.id} was modified by another user (version ${existing.version || 0})`);
+                    } else if (hasVariants(existing) && validation.fields && validation.fields.stock !== existing.stock) {
+                        rowErrors.push(`Stock of ${row.id} is set per variant and cannot be changed here`);
+                    }
+                    seenIds.add(row.id);
+                    if (rowErrors.length === 0) {
+                        const changes = { ...validation.fields, imageUrl: imageUrl || existing.imageUrl };
+                        if (Object.keys(diffRecords(existing, { ...existing, ...changes })).length === 0) {
+                            unchanged += 1;
+                        } else {
+                            updates.push({ id: row.id, changes });
+                        }
+                    }
+                } else {
+                    if (!imageUrl) {
+                        rowErrors.push("imageUrl is required for new products");
+                    }
+                    if (rowErrors.length === 0) {
+                        const newProduct = {
+                            id: generateProductCode(products, taxonomy.typePrefixes[validation.fields.type]),
+                            ...validation.fields,
+                            imageUrl,
+                            version: 0
+                        };
+                        products.push(newProduct);
+                        inserts.push(newProduct);
+                    }
+                }
+
+                if (rowErrors.length > 0) {
+                    errors.push({ row: row.rowNumber, id: row.id || null, errors: rowErrors });
+                }
+            }
+
+            const retainedImageUrls = [];
+            const releasedImageUrls = [];
+            const productChanges = [];
+            if (!dryRun && errors.length === 0) {
+                updates.forEach(({ id, changes }) => {
+                    const previous = productStore.get(id);
+                    if (previous.imageUrl !== changes.imageUrl) {
+                        const primary = setPrimaryImage(previous, changes.imageUrl);
+                        Object.assign(changes, primary.changes);
+                        if (primary.replacedImageUrl) {
+                            retainedImageUrls.push(changes.imageUrl);
+                            releasedImageUrls.push(primary.replacedImageUrl);
+                        }
+                    }
+                    productChanges.push({ action: "update", before: previous, after: productStore.update(id, changes) });
+                });
+                inserts.forEach(product => {
+                    productChanges.push({ action: "create", before: null, after: productStore.insert({ ...product, gallery: [product.imageUrl] }) });
+                    retainedImageUrls.push(product.imageUrl);
+                });
+            }
+            return { dryRun, rows: rows.length, created: inserts.length, updated: updates.length, unchanged, errors, retainedImageUrls, releasedImageUrls, productChanges };
+        });
+
+        for (const imageUrl of result.retainedImageUrls) {
+            await images.retain(imageUrl);
+        }
+        for (const imageUrl of result.releasedImageUrls) {
+            await images.release(imageUrl);
+        }
+        for (const change of result.productChanges) {
+            await auditProductChange({ ...change, userId: req.user.userId, source: "import" });
+        }
+        delete result.retainedImageUrls;
+        delete result.releasedImageUrls;
+        delete result.productChanges;
+
+        console.log("Product import:", { dryRun, rows: result.rows, created: result.created, updated: result.updated, unchanged: result.unchanged, errors: result.errors.length });
+        if (!dryRun && result.errors.length > 0) {
+            return res.status(400).json({ message: "Import rejected: fix the listed rows and try again", ...result });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error("Error importing products:", err);
+        res.status(500).json({ message: "Error importing products" });
+    }
+});
+
+// Apply a batch of operations in one products transaction (admin/staff; archiving needs admin).
+// Body: { operations: [{ action: "update" | "delete" | "stock", id | filter, version?, changes?, salePercentOff?, sku?, delta? }], preview? }
+// Operations run in order, each seeing the ones before it. All-or-nothing: if any item fails nothing is saved,
+// and preview (or ?preview=true) reports the per-item results without saving either way.
+app.post("/api/products/bulk", verifyToken, requireRole("admin", "staff"), async (req, res) => {
+    const { operations } = req.body || {};
+    const preview = req.query.preview === "true" || (req.body && req.body.preview === true);
+    if (!Array.isArray(operations) || operations.length === 0) {
+        return res.status(400).json({ message: "operations must be a non-empty array" });
+    }
+    if (operations.length > MAX_BULK_OPERATIONS) {
+        return res.status(400).json({ message: `At most ${MAX_BULK_OPERATIONS} operations per request` });
+    }
+
+    try {
+        if (!preview) {
+            await snapshotBefore("bulk", req);
+        }
+        const result = await store.transaction(["products", "taxonomy"], async ({ products, taxonomy }) => {
+            const taxonomySummary = summarizeTaxonomy(taxonomy.list());
+            // Operations are tried on a draft first; the store is only touched once every item has passed
+            const draftProducts = new Map(products.list().map(p => [p.id, p]));
+            const draft = {
+                update(id, changes) {
+                    const current = draftProducts.get(id);
+                    const updated = { ...current, ...changes, id, version: (current.version || 0) + 1 };
+                    draftProducts.set(id, updated);
+                    return updated;
+                }
+            };
+            const steps = [];
+            const results = [];
+            operations.forEach((operation, index) => {
+                const selection = operation && typeof operation === "object"
+                    ? selectBulkTargets(operation, [...draftProducts.values()])
+                    : { error: "Each operation must be an object" };
+                if (selection.error) {
+                    results.push({ operation: index, action: operation && operation.action, status: "error", message: selection.error });
+                    return;
+                }
+                if (selection.targets.length === 0) {
+                    results.push({ operation: index, action: operation.action, status: "skipped", message: "No products match the filter" });
+                }
+                for (const target of selection.targets) {
+                    const applied = applyBulkOperation(draft, target, operation, taxonomySummary, req.user);
+                    const item = { operation: index, action: operation.action, id: target.id, ...(operation.sku ? { sku: operation.sku } : {}) };
+                    if (applied.error) {
+                        results.push({ ...item, status: "error", message: applied.error, ...(applied.errors ? { errors: applied.errors } : {}) });
+                    } else {
+                        results.push({ ...item, status: "ok", version: applied.product.version, changes: diffRecords(target, applied.product) });
+                        steps.push({ operation, id: target.id });
+                    }
+                }
+            });
+
+            const succeeded = results.filter(r => r.status === "ok").length;
+            const failed = results.filter(r => r.status === "error").length;
+            const applied = !preview && failed === 0;
+            const productChanges = [];
+            if (applied) {
+                // Replayed on the real store in the same order, so versions match what the draft reported
+                for (const { operation, id } of steps) {
+                    const before = products.get(id);
+                    const outcome = applyBulkOperation(products, before, operation, taxonomySummary, req.user);
+                    productChanges.push({ action: BULK_AUDIT_ACTIONS[operation.action], before, after: outcome.product });
+                }
+            }
+            return { preview, applied, succeeded, failed, results, productChanges };
+        });
+
+        for (const change of result.productChanges) {
+            await auditProductChange({ ...change, userId: req.user.userId, source: "bulk" });
+        }
+        delete result.productChanges;
+
+        console.log("Bulk product operations:", { preview, operations: operations.length, succeeded: result.succeeded, failed: result.failed, applied: result.applied });
+        if (!preview && result.failed > 0) {
+            return res.status(400).json({ message: "Bulk operation rejected: nothing was changed", ...result });
+        }
+        res.json(result);
+    } catch (err) {
+        console.error("Error applying bulk operations:", err);
+        res.status(err.status || 500).json({ message: err.message || "Error applying bulk operations" });
+    }
+});
+
+// Get a single product; archived products are only visible to staff
+app.get("/api/products/:id", optionalToken, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const product = await store.products.get(id);
+        const isStaff = Boolean(req.user && (req.user.role === "admin" || req.user.role === "staff"));
+        if (!product || (product.archived && !isStaff)) {
+            return res.status(404).json({ message: `Product with ID ${id} not found` });
+        }
+        const ratingFor = summarizeRatings(await store.reviews.list());
+        res.json({ ...presentProduct(product, await loadActivePromotions(), { showCost: isStaff }), ...ratingFor(product.id) });
+    } catch (err) {
+        console.error("Error reading product:", { id, error: err.message });
+        res.status(500).json({ message: "Error reading product" });
+    }
+});
+
+// Add a variant (admin/staff). The first variant takes over from the parent's own stock, and starts with
+// all of it unless the request says otherwise; from then on the parent's stock is the total of its variants.
+app.post("/api/products/:id/variants", verifyToken, requireRole("admin", "staff"), async (req, res) => {
+    const { id } = req.params;
+    const { version } = req.body || {};
+    try {
+        const result = await store.transaction(["products", "taxonomy"], async ({ products, taxonomy }) => {
+            const product = products.get(id);
+            if (!product) {
+                return { error: `Product with ID ${id} not found`, status: 404 };
+            }
+            const stock = hasVariants(product) ? 0 : product.stock;
+            const defaults = { options: {}, material: product.material, stock, originalPrice: product.originalPrice, salePrice: product.salePrice, costPrice: product.costPrice };
+            const validation = validateVariantFields(req.body || {}, defaults, summarizeTaxonomy(taxonomy.list()).materials);
+            if (validation.error) {
+                return { error: validation.error, errors: validation.errors, status: 400 };
+            }
+            const variants = hasVariants(product) ? [...product.variants] : [];
+            if (variants.some(v => isSameVariant(v, validation.variant))) {
+                return { error: "A variant with the same options and material already exists", status: 409 };
+            }
+            const { sku, variantSequence } = generateVariantSku(product);
+            variants.push({ sku, ...validation.variant });
+            const expectedVersion = version !== undefined ? parseInt(version) : undefined;
+            return { before: product, product: products.update(id, { ...variantChanges(variants), variantSequence }, { expectedVersion }), sku };
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error, ...(result.errors ? { errors: result.errors } : {}) });
+        }
+        console.log("Variant added:", { id, sku: result.sku });
+        await auditProductChange({ action: "update", before: result.before, after: result.product, userId: req.user.userId });
+        res.status(201).json(presentProduct(result.product, await loadActivePromotions()));
+    } catch (err) {
+        console.error("Error adding variant:", { id, error: err.message });
+        res.status(err.status || 500).json({ message: err.message || "Error adding variant" });
+    }
+});
+
+// Update a variant's options, material, stock or prices (admin/staff)
+app.patch("/api/products/:id/variants/:sku", verifyToken, requireRole("admin", "staff"), async (req, res) => {
+    const { id, sku } = req.params;
+    const { version } = req.body || {};
+    try {
+        const result = await store.transaction(["products", "taxonomy"], async ({ products, taxonomy }) => {
+            const product = products.get(id);
+            const current = product && findVariant(product, sku);
+            if (!current) {
+                return { error: `Variant ${sku} not found on product ${id}`, status: 404 };
+            }
+            const validation = validateVariantFields(req.body || {}, current, summarizeTaxonomy(taxonomy.list()).materials);
+            if (validation.error) {
+                return { error: validation.error, errors: validation.errors, status: 400 };
+            }
+            if (product.variants.some(v => v.sku !== sku && isSameVariant(v, validation.variant))) {
+                return { error: "A variant with the same options and material already exists", status: 409 };
+            }
+            const variants = product.variants.map(v => v.sku === sku ? { sku, ...validation.variant } : v);
+            const expectedVersion = version !== undefined ? parseInt(version) : undefined;
+            return { before: product, product: products.update(id, variantChanges(variants), { expectedVersion }) };
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error, ...(result.errors ? { errors: result.errors } : {}) });
+        }
+        await auditProductChange({ action: "update", before: result.before, after: result.product, userId: req.user.userId });
+        res.json(presentProduct(result.product, await loadActivePromotions()));
+    } catch (err) {
+        console.error("Error updating variant:", { id, sku, error: err.message });
+        res.status(err.status || 500).json({ message: err.message || "Error updating variant" });
+    }
+});
+
+// Remove a variant (admin/staff). Orders keep their copy of its SKU; carts show it as unavailable.
+app.delete("/api/products/:id/variants/:sku", verifyToken, requireRole("admin", "staff"), async (req, res) => {
+    const { id, sku } = req.params;
+    const { version } = req.body || {};
+    try {
+        await snapshotBefore("variant-delete", req);
+        const result = await store.transaction(["products"], async ({ products }) => {
+            const product = products.get(id);
+            if (!product || !findVariant(product, sku)) {
+                return { error: `Variant ${sku} not found on product ${id}`, status: 404 };
+            }
+            const variants = product.variants.filter(v => v.sku !== sku);
+            const expectedVersion = version !== undefined ? parseInt(version) : undefined;
+            return { before: product, product: products.update(id, variantChanges(variants), { expectedVersion }) };
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        console.log("Variant removed:", { id, sku });
+        await auditProductChange({ action: "update", before: result.before, after: result.product, userId: req.user.userId });
+        res.json(presentProduct(result.product, await loadActivePromotions()));
+    } catch (err) {
+        console.error("Error removing variant:", { id, sku, error: err.message });
+        res.status(err.status || 500).json({ message: err.message || "Error removing variant" });
+    }
+});
+
+// Add a new product
+app.post("/api/products", verifyToken, requireRole("admin", "staff"), optionalUpload, async (req, res) => {
+    let uploadedImageUrl = null;
+    try {
+        const { name, brand, type, stock, originalPrice, salePrice, material } = req.body || {};
+        console.log("Received FormData:", {
+            name,
+            brand,
+            type,
+            stock,
+            originalPrice,
+            salePrice,
+            material,
+            image: req.file ? req.file.originalname : "No image"
+        });
+
+        const validation = validateProduct(req.body || {}, await loadTaxonomy());
+        if (validation.error) {
+            console.log("Validation failed:", validation.error);
+            return sendValidationError(res, validation);
+        }
+        const fields = validation.fields;
+        if (!req.file) {
+            console.log("Validation failed: No valid image provided");
+            return res.status(400).json({ message: "An image file (jpg or png) is required" });
+        }
+
+        uploadedImageUrl = await images.acquire(req.file.buffer, req.file.originalname);
+        const newProduct = await store.transaction(["products", "taxonomy"], async ({ products, taxonomy }) => {
+            const { typePrefixes } = summarizeTaxonomy(taxonomy.list());
+            return products.insert({
+                id: generateProductCode(products.list(), typePrefixes[fields.type]),
+                name: fields.name,
+                brand: fields.brand,
+                type: fields.type,
+                stock: fields.stock,
+                imageUrl: uploadedImageUrl,
+                gallery: [uploadedImageUrl],
+                originalPrice: fields.originalPrice,
+                salePrice: fields.salePrice,
+                ...(fields.costPrice !== undefined ? { costPrice: fields.costPrice } : {}),
+                material: fields.material,
+                version: 0
+            });
+        });
+
+        console.log("Product added:", { id: newProduct.id, name: newProduct.name });
+        await auditProductChange({ action: "create", before: null, after: newProduct, userId: req.user.userId });
+        res.status(201).json(presentProduct(newProduct, await loadActivePromotions()));
+    } catch (err) {
+        await discardUploadedImage(uploadedImageUrl);
+        console.error("Error adding product:", err);
+        res.status(err.status || 500).json({ message: err.message || "Error adding product" });
+    }
+});
+
+// Update product
+app.patch("/api/products/:id", verifyToken, requireRole("admin", "staff"), optionalUpload, async (req, res) => {
+    const { id } = req.params;
+    const { name, brand, type, material, stock, originalPrice, salePrice, costPrice, version } = req.body || {};
+    console.log("Updating product:", { id, name, brand, type, material, stock, originalPrice, salePrice, costPrice, version, file: req.file && req.file.originalname });
+
+    let uploadedImageUrl = null;
+    try {
+        const validation = validateProduct(req.body || {}, await loadTaxonomy(), { partial: true });
+        if (validation.error) {
+            return sendValidationError(res, validation);
+        }
+        const updates = validation.fields;
+        if (Object.keys(updates).length === 0 && !req.file) {
+            return res.status(400).json({ message: "No valid fields to update" });
+        }
+
+        // Without a file the current images are kept (keepImage is no longer needed)
+        if (req.file) {
+            uploadedImageUrl = await images.acquire(req.file.buffer, req.file.originalname);
+        }
+
+        const result = await store.transaction(["products"], async ({ products }) => {
+            const product = products.get(id.trim());
+            if (!product) {
+                return { error: `Product with ID ${id} not found`, status: 404 };
+            }
+            if (updates.stock !== undefined && hasVariants(product)) {
+                return { error: `Stock of ${product.id} is set per variant`, status: 400 };
+            }
+            const expectedVersion = version !== undefined ? parseInt(version) : undefined;
+
+            // A new file replaces the primary image; if it is already in the gallery the extra reference goes back
+            let releasedImageUrls = [];
+            if (uploadedImageUrl) {
+                const primary = setPrimaryImage(product, uploadedImageUrl);
+                Object.assign(updates, primary.changes);
+                releasedImageUrls = [primary.replacedImageUrl || uploadedImageUrl];
+            }
+            const updatedProduct = products.update(product.id, updates, { expectedVersion });
+            return { before: product, product: updatedProduct, releasedImageUrls };
+        });
+
+        if (result.error) {
+            await discardUploadedImage(uploadedImageUrl);
+            return res.status(result.status || 404).json({ message: result.error });
+        }
+
+        // Image references are only dropped once the change has been saved
+        for (const imageUrl of result.releasedImageUrls) {
+            await images.release(imageUrl);
+        }
+
+        await auditProductChange({ action: "update", before: result.before, after: result.product, userId: req.user.userId });
+        res.json(presentProduct(result.product, await loadActivePromotions()));
+    } catch (err) {
+        await discardUploadedImage(uploadedImageUrl);
+        console.error("Error updating product:", { id, error: err.message, stack: err.stack });
+        res.status(err.status || 500).json({ message: err.message || "Error updating product" });
+    }
+});
+
+// Archive a product (admin): it leaves the storefront but keeps its record, images and history
+app.delete("/api/products/:id", verifyToken, requireRole("admin"), async (req, res) => {
+    const { id } = req.params;
+    const { version } = req.body || {};
+    console.log("Received DELETE request for product:", { id });
+
+    if (!id || typeof id !== "string" || id.trim() === "") {
+        console.warn("Invalid product ID:", id);
+        return res.status(400).json({ message: "Invalid product ID" });
+    }
+
+    try {
+        const result = await store.transaction(["products"], async ({ products }) => {
+            const product = products.get(id.trim());
+            if (!product) {
+                return { error: `Product with ID ${id} not found`, status: 404 };
+            }
+            if (product.archived) {
+                return { error: `Product ${id} is already archived`, status: 409 };
+            }
+            const expectedVersion = version !== undefined ? parseInt(version) : undefined;
+            const changes = { archived: true, archivedAt: new Date().toISOString(), archivedBy: req.user.userId };
+            return { before: product, product: products.update(product.id, changes, { expectedVersion }) };
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        console.log("Product archived:", { id });
+        await auditProductChange({ action: "archive", before: result.before, after: result.product, userId: req.user.userId });
+        res.json({ message: "Product archived", product: presentProduct(result.product, await loadActivePromotions()) });
+    } catch (err) {
+        if (err instanceof StorageError && err.status < 500) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        console.error("Error archiving product:", { id, error: err.message, stack: err.stack });
+        res.status(500).json({ message: "Error archiving product", error: err.message });
+    }
+});
+
+// Bring an archived product back (admin); its status follows its stock again
+app.post("/api/products/:id/restore", verifyToken, requireRole("admin"), async (req, res) => {
+    const { id } = req.params;
+    const { version } = req.body || {};
+    try {
+        const result = await store.transaction(["products"], async ({ products }) => {
+            const product = products.get(id);
+            if (!product) {
+                return { error: `Product with ID ${id} not found`, status: 404 };
+            }
+            if (!product.archived) {
+                return { error: `Product ${id} is not archived`, status: 409 };
+            }
+            const expectedVersion = version !== undefined ? parseInt(version) : undefined;
+            const changes = { archived: false, archivedAt: null, archivedBy: null };
+            return { before: product, product: products.update(product.id, changes, { expectedVersion }) };
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        console.log("Product restored:", { id });
+        await auditProductChange({ action: "restore", before: result.before, after: result.product, userId: req.user.userId });
+        res.json(presentProduct(result.product, await loadActivePromotions()));
+    } catch (err) {
+        console.error("Error restoring product:", { id, error: err.message });
+        res.status(err.status || 500).json({ message: err.message || "Error restoring product" });
+    }
+});
+
+// Permanently delete an archived product and release its images (admin)
+app.delete("/api/products/:id/purge", verifyToken, requireRole("admin"), async (req, res) => {
+    const { id } = req.params;
+    const { version } = req.body || {};
+    try {
+        await snapshotBefore("purge", req);
+        const result = await store.transaction(["products"], async ({ products }) => {
+            const product = products.get(id);
+            if (!product) {
+                return { error: `Product with ID ${id} not found`, status: 404 };
+            }
+            if (!product.archived) {
+                return { error: `Product ${id} must be archived before it can be purged`, status: 409 };
+            }
+            const expectedVersion = version !== undefined ? parseInt(version) : undefined;
+            return { product: products.remove(product.id, { expectedVersion }) };
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        for (const imageUrl of getGallery(result.product)) {
+            await images.release(imageUrl);
+        }
+        console.log("Product purged:", { id });
+        await auditProductChange({ action: "delete", before: result.product, after: null, userId: req.user.userId });
+        res.json({ message: "Product purged" });
+    } catch (err) {
+        console.error("Error purging product:", { id, error: err.message });
+        res.status(err.status || 500).json({ message: err.message || "Error purging product" });
+    }
+});
+
+// Add images to a product's gallery (admin/staff)
+app.post("/api/products/:id/images", verifyToken, requireRole("admin", "staff"), galleryUpload, async (req, res) => {
+    const { id } = req.params;
+    const { version } = req.body || {};
+    if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ message: "At least one image file (jpg or png) is required" });
+    }
+
+    const acquiredImageUrls = [];
+    try {
+        for (const file of req.files) {
+            acquiredImageUrls.push(await images.acquire(file.buffer, file.originalname));
+        }
+        const result = await store.transaction(["products"], async ({ products }) => {
+            const product = products.get(id);
+            if (!product) {
+                return { error: `Product with ID ${id} not found`, status: 404 };
+            }
+            const gallery = getGallery(product);
+            const added = [];
+            const duplicates = [];
+            for (const imageUrl of acquiredImageUrls) {
+                (gallery.includes(imageUrl) || added.includes(imageUrl) ? duplicates : added).push(imageUrl);
+            }
+            if (gallery.length + added.length > MAX_GALLERY_IMAGES) {
+                return { error: `A product can have at most ${MAX_GALLERY_IMAGES} images`, status: 400 };
+            }
+            const expectedVersion = version !== undefined ? parseInt(version) : undefined;
+            const updatedProduct = products.update(id, { gallery: [...gallery, ...added] }, { expectedVersion });
+            return { before: product, product: updatedProduct, duplicates };
+        });
+
+        if (result.error) {
+            for (const imageUrl of acquiredImageUrls) {
+                await discardUploadedImage(imageUrl);
+            }
+            return res.status(result.status).json({ message: result.error });
+        }
+        // Images already in the gallery are not added twice, so their extra references go back
+        for (const imageUrl of result.duplicates) {
+            await discardUploadedImage(imageUrl);
+        }
+        console.log("Gallery images added:", { id, added: acquiredImageUrls.length - result.duplicates.length });
+        await auditProductChange({ action: "update", before: result.before, after: result.product, userId: req.user.userId });
+        res.status(201).json(presentProduct(result.product, await loadActivePromotions()));
+    } catch (err) {
+        for (const imageUrl of acquiredImageUrls) {
+            await discardUploadedImage(imageUrl);
+        }
+        console.error("Error adding gallery images:", { id, error: err.message });
+        res.status(err.status || 500).json({ message: err.message || "Error adding images" });
+    }
+});
+
+// Remove an image from a product's gallery (admin/staff); the last image cannot be removed
+app.delete("/api/products/:id/images/:imageId", verifyToken, requireRole("admin", "staff"), async (req, res) => {
+    const { id, imageId } = req.params;
+    const { version } = req.body || {};
+    try {
+        await snapshotBefore("image-delete", req);
+        const result = await store.transaction(["products"], async ({ products }) => {
+            const product = products.get(id);
+            if (!product) {
+                return { error: `Product with ID ${id} not found`, status: 404 };
+            }
+            const gallery = getGallery(product);
+            const removedImageUrl = gallery.find(url => getImageId(url) === imageId);
+            if (!removedImageUrl) {
+                return { error: `Image ${imageId} not found on product ${id}`, status: 404 };
+            }
+            if (gallery.length === 1) {
+                return { error: "A product needs at least one image", status: 400 };
+            }
+            const remaining = gallery.filter(url => url !== removedImageUrl);
+            const changes = { gallery: remaining };
+            if (product.imageUrl === removedImageUrl) {
+                changes.imageUrl = remaining[0];
+            }
+            const expectedVersion = version !== undefined ? parseInt(version) : undefined;
+            return { before: product, product: products.update(id, changes, { expectedVersion }), removedImageUrl };
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        await images.release(result.removedImageUrl);
+        console.log("Gallery image removed:", { id, imageId });
+        await auditProductChange({ action: "update", before: result.before, after: result.product, userId: req.user.userId });
+        res.json(presentProduct(result.product, await loadActivePromotions()));
+    } catch (err) {
+        console.error("Error removing gallery image:", { id, imageId, error: err.message });
+        res.status(err.status || 500).json({ message: err.message || "Error removing image" });
+    }
+});
+
+// Reorder a product's gallery (admin/staff); body: { order: [imageId, ...] } listing every image once
+app.put("/api/products/:id/images/order", verifyToken, requireRole("admin", "staff"), async (req, res) => {
+    const { id } = req.params;
+    const { order, version } = req.body || {};
+    if (!Array.isArray(order)) {
+        return res.status(400).json({ message: "order must be an array of image IDs" });
+    }
+    try {
+        const result = await store.transaction(["products"], async ({ products }) => {
+            const product = products.get(id);
+            if (!product) {
+                return { error: `Product with ID ${id} not found`, status: 404 };
+            }
+            const gallery = getGallery(product);
+            const reordered = order.map(imageId => gallery.find(url => getImageId(url) === imageId));
+            if (order.length !== gallery.length || reordered.some(url => !url) || new Set(reordered).size !== gallery.length) {
+                return { error: "order must list every image of the product exactly once", status: 400 };
+            }
+            const expectedVersion = version !== undefined ? parseInt(version) : undefined;
+            return { before: product, product: products.update(id, { gallery: reordered }, { expectedVersion }) };
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        await auditProductChange({ action: "update", before: result.before, after: result.product, userId: req.user.userId });
+        res.json(presentProduct(result.product, await loadActivePromotions()));
+    } catch (err) {
+        console.error("Error reordering gallery:", { id, error: err.message });
+        res.status(err.status || 500).json({ message: err.message || "Error reordering images" });
+    }
+});
+
+// Choose the primary image (admin/staff); body: { imageId }
+app.put("/api/products/:id/images/primary", verifyToken, requireRole("admin", "staff"), async (req, res) => {
+    const { id } = req.params;
+    const { imageId, version } = req.body || {};
+    if (!imageId || typeof imageId !== "string") {
+        return res.status(400).json({ message: "imageId is required" });
+    }
+    try {
+        const result = await store.transaction(["products"], async ({ products }) => {
+            const product = products.get(id);
+            if (!product) {
+                return { error: `Product with ID ${id} not found`, status: 404 };
+            }
+            const gallery = getGallery(product);
+            const imageUrl = gallery.find(url => getImageId(url) === imageId);
+            if (!imageUrl) {
+                return { error: `Image ${imageId} not found on product ${id}`, status: 404 };
+            }
+            const expectedVersion = version !== undefined ? parseInt(version) : undefined;
+            return { before: product, product: products.update(id, { imageUrl, gallery }, { expectedVersion }) };
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        await auditProductChange({ action: "update", before: result.before, after: result.product, userId: req.user.userId });
+        res.json(presentProduct(result.product, await loadActivePromotions()));
+    } catch (err) {
+        console.error("Error setting primary image:", { id, error: err.message });
+        res.status(err.status || 500).json({ message: err.message || "Error setting primary image" });
+    }
+});
+
+// Change history of one product, oldest first (admin/staff)
+app.get("/api/products/:id/history", verifyToken, requireRole("admin", "staff"), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const entries = (await audit.read()).filter(e => e.productId === id);
+        // Purged products keep their history; only IDs that never existed are unknown
+        if (entries.length === 0 && !(await store.products.get(id))) {
+            return res.status(404).json({ message: `Product with ID ${id} not found` });
+        }
+        res.json(entries.map(toPublicAuditEntry));
+    } catch (err) {
+        console.error("Error reading product history:", { id, error: err.message });
+        res.status(500).json({ message: "Error reading product history" });
+    }
+});
+
+// Roll a product back to an earlier version (admin). See ROLLBACK_KEEP_FIELDS for what stays as it is;
+// the rollback itself becomes a new version.
+app.post("/api/products/:id/rollback", verifyToken, requireRole("admin"), async (req, res) => {
+    const { id } = req.params;
+    const targetVersion = parseInt((req.body || {}).version, 10);
+    if (isNaN(targetVersion) || targetVersion < 0) {
+        return res.status(400).json({ message: "version must be a non-negative integer" });
+    }
+
+    let retainedImageUrls = [];
+    try {
+        const current = await store.products.get(id);
+        if (!current) {
+            return res.status(404).json({ message: `Product with ID ${id} not found` });
+        }
+        if (targetVersion >= (current.version || 0)) {
+            return res.status(400).json({ message: `Can only roll back to a version before the current one (${current.version || 0})` });
+        }
+        const entry = (await audit.read()).find(e => e.productId === id && e.snapshot && e.snapshot.version === targetVersion);
+        if (!entry) {
+            return res.status(404).json({ message: `No recorded snapshot of ${id} at version ${targetVersion}` });
+        }
+
+        // Images the old version used must still exist, and get their reference back before the switch
+        const currentGallery = getGallery(current);
+        const restoredGallery = getGallery(entry.snapshot);
+        const addedImageUrls = restoredGallery.filter(url => !currentGallery.includes(url));
+        for (const imageUrl of addedImageUrls) {
+            if (!(await images.exists(imageUrl))) {
+                return res.status(409).json({ message: `Image ${imageUrl} from version ${targetVersion} is no longer stored` });
+            }
+        }
+        for (const imageUrl of addedImageUrls) {
+            await images.retain(imageUrl);
+            retainedImageUrls.push(imageUrl);
+        }
+
+        const result = await store.transaction(["products"], async ({ products }) => {
+            const product = products.get(id);
+            const changes = buildRollbackChanges(product || current, entry.snapshot);
+            return { before: product, product: products.update(id, changes, { expectedVersion: current.version || 0 }) };
+        });
+        retainedImageUrls = [];
+
+        for (const imageUrl of currentGallery.filter(url => !restoredGallery.includes(url))) {
+            await images.release(imageUrl);
+        }
+        console.log("Product rolled back:", { id, to: targetVersion, version: result.product.version });
+        await auditProductChange({ action: "rollback", before: result.before, after: result.product, userId: req.user.userId, rolledBackTo: targetVersion });
+        res.json(presentProduct(result.product, await loadActivePromotions()));
+    } catch (err) {
+        for (const imageUrl of retainedImageUrls) {
+            await discardUploadedImage(imageUrl);
+        }
+        console.error("Error rolling back product:", { id, error: err.message });
+        res.status(err.status || 500).json({ message: err.message || "Error rolling back product" });
+    }
+});
+
+// Query the audit log (admin); filters: productId, userId, action (comma-separated), from, to. Newest first.
+app.get("/api/audit", verifyToken, requireRole("admin"), async (req, res) => {
+    const { productId, userId, from, to, page, limit } = req.query;
+    const actions = parseListParam(req.query.action);
+    const invalidAction = actions.find(a => !AUDIT_ACTIONS.includes(a));
+    if (invalidAction) {
+        return res.status(400).json({ message: `Invalid action: "${invalidAction}". Must be one of: ${AUDIT_ACTIONS.join(", ")}` });
+    }
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return res.status(400).json({ message: "from and to must be valid dates" });
+    }
+    const parsedPage = page !== undefined ? parseInt(page, 10) : 1;
+    const parsedLimit = limit !== undefined ? parseInt(limit, 10) : 100;
+    if (isNaN(parsedPage) || parsedPage < 1 || isNaN(parsedLimit) || parsedLimit < 1) {
+        return res.status(400).json({ message: "page and limit must be positive integers" });
+    }
+
+    try {
+        const entries = (await audit.read())
+            .filter(e => !productId || e.productId === productId)
+            .filter(e => !userId || e.userId === userId)
+            .filter(e => actions.length === 0 || actions.includes(e.action))
+            .filter(e => !fromDate || new Date(e.at) >= fromDate)
+            .filter(e => !toDate || new Date(e.at) <= toDate)
+            .reverse();
+        const start = (parsedPage - 1) * parsedLimit;
+        res.json({
+            entries: entries.slice(start, start + parsedLimit).map(toPublicAuditEntry),
+            total: entries.length,
+            page: parsedPage,
+            limit: parsedLimit,
+            totalPages: Math.ceil(entries.length / parsedLimit)
+        });
+    } catch (err) {
+        console.error("Error reading audit log:", err);
+        res.status(500).json({ message: "Error reading audit log" });
+    }
+});
+
+// Recent requests, newest first (admin). status takes a code (404) or a class (4xx);
+// route is the matched pattern, e.g. /api/products/:id. A date-only ?to= includes that whole day.
+app.get("/api/logs/requests", verifyToken, requireRole("admin"), async (req, res) => {
+    const { status, route, method, userId, from, to, page, limit } = req.query;
+    if (status !== undefined && !/^[1-5]([0-9]{2}|xx)$/i.test(status)) {
+        return res.status(400).json({ message: "status must be a status code (404) or class (4xx)" });
+    }
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? parseEndDate(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return res.status(400).json({ message: "from and to must be valid dates" });
+    }
+    const parsedPage = page !== undefined ? parseInt(page, 10) : 1;
+    const parsedLimit = limit !== undefined ? parseInt(limit, 10) : 100;
+    if (isNaN(parsedPage) || parsedPage < 1 || isNaN(parsedLimit) || parsedLimit < 1) {
+        return res.status(400).json({ message: "page and limit must be positive integers" });
+    }
+    const matchesStatus = code => !status || (/xx$/i.test(status) ? String(code)[0] === status[0] : String(code) === status);
+
+    try {
+        const entries = (await requestLog.read())
+            .filter(e => matchesStatus(e.status))
+            .filter(e => !route || e.route === route || (!e.route && e.path === route))
+            .filter(e => !method || e.method === method.toUpperCase())
+            .filter(e => !userId || e.userId === userId)
+            .filter(e => !fromDate || new Date(e.at) >= fromDate)
+            .filter(e => !toDate || new Date(e.at) <= toDate);
+        const start = (parsedPage - 1) * parsedLimit;
+        res.json({
+            entries: entries.slice(start, start + parsedLimit),
+            total: entries.length,
+            page: parsedPage,
+            limit: parsedLimit,
+            totalPages: Math.ceil(entries.length / parsedLimit)
+        });
+    } catch (err) {
+        console.error("Error reading request log:", err);
+        res.status(500).json({ message: "Error reading request log" });
+    }
+});
+
+// All brands, types and materials, in the order they were added
+app.get("/api/taxonomy", async (req, res) => {
+    try {
+        const entries = await store.taxonomy.list();
+        res.json(Object.fromEntries(Object.entries(TAXONOMY_KINDS).map(([list, kind]) => [list, entries.filter(e => e.kind === kind)])));
+    } catch (err) {
+        console.error("Error reading taxonomy:", err);
+        res.status(500).json({ message: "Error reading taxonomy" });
+    }
+});
+
+// One list: /api/taxonomy/brands, /types or /materials
+app.get("/api/taxonomy/:list", async (req, res) => {
+    if (!Object.hasOwn(TAXONOMY_KINDS, req.params.list)) {
+        return res.status(404).json({ message: `Unknown taxonomy list: ${req.params.list}` });
+    }
+    const kind = TAXONOMY_KINDS[req.params.list];
+    try {
+        const entries = await store.taxonomy.list();
+        res.json(entries.filter(e => e.kind === kind));
+    } catch (err) {
+        console.error("Error reading taxonomy:", err);
+        res.status(500).json({ message: "Error reading taxonomy" });
+    }
+});
+
+// Add an entry (admin); types need a two-letter prefix for their product IDs
+app.post("/api/taxonomy/:list", verifyToken, requireRole("admin"), async (req, res) => {
+    if (!Object.hasOwn(TAXONOMY_KINDS, req.params.list)) {
+        return res.status(404).json({ message: `Unknown taxonomy list: ${req.params.list}` });
+    }
+    const kind = TAXONOMY_KINDS[req.params.list];
+    const { name, prefix } = req.body || {};
+    const trimmedName = typeof name === "string" ? name.trim() : "";
+    const normalizedPrefix = typeof prefix === "string" ? prefix.trim().toUpperCase() : "";
+    if (!trimmedName) {
+        return res.status(400).json({ message: "name is required" });
+    }
+    if (kind === "type" && !TYPE_PREFIX_PATTERN.test(normalizedPrefix)) {
+        return res.status(400).json({ message: "Types need a prefix of two letters (A-Z)" });
+    }
+
+    try {
+        const result = await store.transaction(["taxonomy"], async ({ taxonomy }) => {
+            const siblings = taxonomy.list().filter(e => e.kind === kind);
+            if (siblings.some(e => e.name.toLowerCase() === trimmedName.toLowerCase())) {
+                return { error: `${trimmedName} already exists`, status: 409 };
+            }
+            if (kind === "type" && siblings.some(e => e.prefix === normalizedPrefix)) {
+                return { error: `Prefix ${normalizedPrefix} is already used by another type`, status: 409 };
+            }
+            const now = new Date().toISOString();
+            const entry = { id: crypto.randomUUID(), kind, name: trimmedName, ...(kind === "type" ? { prefix: normalizedPrefix } : {}), createdAt: now, updatedAt: now };
+            return { entry: taxonomy.insert(entry) };
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        console.log("Taxonomy entry added:", result.entry);
+        res.status(201).json(result.entry);
+    } catch (err) {
+        console.error("Error adding taxonomy entry:", err);
+        res.status(500).json({ message: "Error adding taxonomy entry" });
+    }
+});
+
+// Rename an entry or change a type's prefix (admin). A rename is carried over to every product
+// using the entry; a new prefix only applies to products created afterwards.
+app.patch("/api/taxonomy/:list/:id", verifyToken, requireRole("admin"), async (req, res) => {
+    if (!Object.hasOwn(TAXONOMY_KINDS, req.params.list)) {
+        return res.status(404).json({ message: `Unknown taxonomy list: ${req.params.list}` });
+    }
+    const kind = TAXONOMY_KINDS[req.params.list];
+    const { id } = req.params;
+    const { name, prefix } = req.body || {};
+    const changes = {};
+    if (name !== undefined) {
+        const trimmedName = typeof name === "string" ? name.trim() : "";
+        if (!trimmedName) return res.status(400).json({ message: "name cannot be empty" });
+        changes.name = trimmedName;
+    }
+    if (prefix !== undefined) {
+        const normalizedPrefix = typeof prefix === "string" ? prefix.trim().toUpperCase() : "";
+        if (kind !== "type") return res.status(400).json({ message: "Only types have a prefix" });
+        if (!TYPE_PREFIX_PATTERN.test(normalizedPrefix)) return res.status(400).json({ message: "Types need a prefix of two letters (A-Z)" });
+        changes.prefix = normalizedPrefix;
+    }
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ message: "No valid fields to update" });
+    }
+
+    try {
+        const result = await store.transaction(["products", "taxonomy", "promotions"], async ({ products, taxonomy, promotions }) => {
+            const entry = taxonomy.get(id);
+            if (!entry || entry.kind !== kind) {
+                return { error: `Taxonomy entry with ID ${id} not found`, status: 404 };
+            }
+            const siblings = taxonomy.list().filter(e => e.kind === kind && e.id !== id);
+            if (changes.name && siblings.some(e => e.name.toLowerCase() === changes.name.toLowerCase())) {
+                return { error: `${changes.name} already exists`, status: 409 };
+            }
+            if (changes.prefix && siblings.some(e => e.prefix === changes.prefix)) {
+                return { error: `Prefix ${changes.prefix} is already used by another type`, status: 409 };
+            }
+
+            const productChanges = [];
+            if (changes.name && changes.name !== entry.name) {
+                for (const product of products.list().filter(p => productUsesTaxonomyEntry(p, entry))) {
+                    const renamed = product[kind] === entry.name ? { [kind]: changes.name } : {};
+                    if (kind === "material" && hasVariants(product)) {
+                        renamed.variants = product.variants.map(v => v.material === entry.name ? { ...v, material: changes.name } : v);
+                    }
+                    productChanges.push({ before: product, after: products.update(product.id, renamed) });
+                }
+                for (const promotion of promotions.list().filter(p => p.scope === kind && p.values.includes(entry.name))) {
+                    promotions.update(promotion.id, { values: promotion.values.map(v => v === entry.name ? changes.name : v) });
+                }
+            }
+            const updatedEntry = taxonomy.update(id, { ...changes, updatedAt: new Date().toISOString() });
+            return { entry: updatedEntry, productChanges };
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        for (const change of result.productChanges) {
+            await auditProductChange({ action: "update", ...change, userId: req.user.userId, source: "taxonomy" });
+        }
+        console.log("Taxonomy entry updated:", { id, ...changes, productsUpdated: result.productChanges.length });
+        res.json({ ...result.entry, productsUpdated: result.productChanges.length });
+    } catch (err) {
+        console.error("Error updating taxonomy entry:", { id, error: err.message });
+        res.status(err.status || 500).json({ message: err.message || "Error updating taxonomy entry" });
+    }
+});
+
+// Delete an entry (admin); refused while any product, archived ones included, still uses it
+app.delete("/api/taxonomy/:list/:id", verifyToken, requireRole("admin"), async (req, res) => {
+    if (!Object.hasOwn(TAXONOMY_KINDS, req.params.list)) {
+        return res.status(404).json({ message: `Unknown taxonomy list: ${req.params.list}` });
+    }
+    const kind = TAXONOMY_KINDS[req.params.list];
+    const { id } = req.params;
+    try {
+        await snapshotBefore("taxonomy-delete", req);
+        const result = await store.transaction(["products", "taxonomy", "promotions"], async ({ products, taxonomy, promotions }) => {
+            const entry = taxonomy.get(id);
+            if (!entry || entry.kind !== kind) {
+                return { error: `Taxonomy entry with ID ${id} not found`, status: 404 };
+            }
+            const usedBy = [
+                ...products.list().filter(p => productUsesTaxonomyEntry(p, entry)).map(p => p.id),
+                ...promotions.list().filter(p => p.scope === kind && p.values.includes(entry.name)).map(p => `promotion ${p.id}`)
+            ];
+            if (usedBy.length > 0) {
+                return { error: `${entry.name} is still used by ${usedBy.length} product(s) or promotion(s)`, status: 409, usedBy };
+            }
+            return { entry: taxonomy.remove(id) };
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error, usedBy: result.usedBy });
+        }
+        console.log("Taxonomy entry deleted:", result.entry);
+        res.json({ message: `${result.entry.name} deleted` });
+    } catch (err) {
+        console.error("Error deleting taxonomy entry:", { id, error: err.message });
+        res.status(500).json({ message: "Error deleting taxonomy entry" });
+    }
+});
+
+// Download a report as a formatted spreadsheet (admin); takes the same query as the JSON version.
+// Registered before /api/reports/:report, which would otherwise match "stock-value.xlsx".
+app.get("/api/reports/:report.xlsx", verifyToken, requireRole("admin"), async (req, res) => {
+    const { report } = req.params;
+    if (!Object.hasOwn(REPORTS, report)) {
+        return res.status(404).json({ message: `Unknown report: "${report}". Available: ${Object.keys(REPORTS).join(", ")}` });
+    }
+    try {
+        const result = await REPORTS[report](req.query);
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        const workbook = buildReportWorkbook(result.sheet);
+        res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+        res.setHeader("Content-Disposition", `attachment; filename="${report}-${new Date().toISOString().slice(0, 10)}.xlsx"`);
+        await workbook.xlsx.write(res);
+        res.end();
+    } catch (err) {
+        console.error("Error exporting report:", { report, error: err.message });
+        res.status(500).json({ message: "Error building report" });
+    }
+});
+
+// Stock value, low stock and sales reports as JSON (admin)
+app.get("/api/reports/:report", verifyToken, requireRole("admin"), async (req, res) => {
+    const { report } = req.params;
+    if (!Object.hasOwn(REPORTS, report)) {
+        return res.status(404).json({ message: `Unknown report: "${report}". Available: ${Object.keys(REPORTS).join(", ")}` });
+    }
+    try {
+        const result = await REPORTS[report](req.query);
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        res.json(result.data);
+    } catch (err) {
+        console.error("Error building report:", { report, error: err.message });
+        res.status(500).json({ message: "Error building report" });
+    }
+});
+
+// Live catalogue changes as Server-Sent Events: product.created, product.updated, product.deleted and
+// product.stock-changed, each carrying the product's new version. ?productIds= and ?brands= narrow the
+// stream (either match is enough). Reconnecting clients resume from Last-Event-ID (header or ?lastEventId=).
+app.get("/api/events", (req, res) => {
+    const productIds = parseListParam(req.query.productIds);
+    const brands = parseListParam(req.query.brands);
+    const lastEventIdParam = req.get("Last-Event-ID") || req.query.lastEventId;
+    const lastEventId = lastEventIdParam !== undefined ? parseInt(lastEventIdParam, 10) : undefined;
+    const accepts = event => (productIds.length === 0 && brands.length === 0) ||
+        productIds.includes(event.match.productId) ||
+        event.match.brands.some(brand => brands.includes(brand));
+
+    const refusal = events.subscribe(req, res, { accepts, lastEventId });
+    if (refusal) {
+        res.setHeader("Retry-After", 30);
+        return res.status(refusal.status).json({ message: refusal.error });
+    }
+});
+
+// All promotions with whether they are running now (admin)
+app.get("/api/promotions", verifyToken, requireRole("admin"), async (req, res) => {
+    try {
+        const now = new Date();
+        const promotions = await store.promotions.list();
+        res.json(promotions.map(p => ({ ...p, active: isPromotionActive(p, now) })));
+    } catch (err) {
+        console.error("Error reading promotions:", err);
+        res.status(500).json({ message: "Error reading promotions" });
+    }
+});
+
+// Create a promotion (admin): { name, discountType, value, scope, values, startsAt, endsAt }
+app.post("/api/promotions", verifyToken, requireRole("admin"), async (req, res) => {
+    try {
+        const validation = validatePromotionFields(req.body || {}, {}, await loadTaxonomy());
+        if (validation.error) {
+            return res.status(400).json({ message: validation.error });
+        }
+        const now = new Date().toISOString();
+        const promotion = await store.promotions.create({ id: crypto.randomUUID(), ...validation.promotion, createdAt: now, updatedAt: now });
+        console.log("Promotion created:", { id: promotion.id, name: promotion.name });
+        res.status(201).json(promotion);
+    } catch (err) {
+        console.error("Error creating promotion:", err);
+        res.status(500).json({ message: "Error creating promotion" });
+    }
+});
+
+// Change a promotion (admin)
+app.patch("/api/promotions/:id", verifyToken, requireRole("admin"), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const taxonomy = await loadTaxonomy();
+        const result = await store.transaction(["promotions"], async ({ promotions }) => {
+            const current = promotions.get(id);
+            if (!current) {
+                return { error: `Promotion with ID ${id} not found`, status: 404 };
+            }
+            const validation = validatePromotionFields(req.body || {}, current, taxonomy);
+            if (validation.error) {
+                return { error: validation.error, status: 400 };
+            }
+            return { promotion: promotions.update(id, { ...validation.promotion, updatedAt: new Date().toISOString() }) };
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        res.json(result.promotion);
+    } catch (err) {
+        console.error("Error updating promotion:", { id, error: err.message });
+        res.status(500).json({ message: "Error updating promotion" });
+    }
+});
+
+// Delete a promotion (admin); orders keep the prices they were placed at
+app.delete("/api/promotions/:id", verifyToken, requireRole("admin"), async (req, res) => {
+    const { id } = req.params;
+    try {
+        await snapshotBefore("promotion-delete", req);
+        await store.promotions.remove(id);
+        console.log("Promotion deleted:", { id });
+        res.json({ message: "Promotion deleted" });
+    } catch (err) {
+        if (err instanceof StorageError && err.status < 500) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        console.error("Error deleting promotion:", { id, error: err.message });
+        res.status(500).json({ message: "Error deleting promotion" });
+    }
+});
+
+// All coupons (admin)
+app.get("/api/coupons", verifyToken, requireRole("admin"), async (req, res) => {
+    try {
+        res.json(await store.coupons.list());
+    } catch (err) {
+        console.error("Error reading coupons:", err);
+        res.status(500).json({ message: "Error reading coupons" });
+    }
+});
+
+// Create a coupon (admin): { code, discountType, value, minOrderValue?, usageLimit?, startsAt?, endsAt? }
+app.post("/api/coupons", verifyToken, requireRole("admin"), async (req, res) => {
+    const validation = validateCouponFields(req.body || {}, {});
+    if (validation.error) {
+        return res.status(400).json({ message: validation.error });
+    }
+    try {
+        const result = await store.transaction(["coupons"], async ({ coupons }) => {
+            if (coupons.list().some(c => c.code === validation.coupon.code)) {
+                return { error: `Coupon ${validation.coupon.code} already exists`, status: 409 };
+            }
+            const now = new Date().toISOString();
+            return { coupon: coupons.insert({ id: crypto.randomUUID(), ...validation.coupon, usedCount: 0, createdAt: now, updatedAt: now }) };
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        console.log("Coupon created:", { code: result.coupon.code });
+        res.status(201).json(result.coupon);
+    } catch (err) {
+        console.error("Error creating coupon:", err);
+        res.status(500).json({ message: "Error creating coupon" });
+    }
+});
+
+// Change a coupon (admin); usedCount is kept by checkout and cancellation
+app.patch("/api/coupons/:id", verifyToken, requireRole("admin"), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const result = await store.transaction(["coupons"], async ({ coupons }) => {
+            const current = coupons.get(id);
+            if (!current) {
+                return { error: `Coupon with ID ${id} not found`, status: 404 };
+            }
+            const validation = validateCouponFields(req.body || {}, current);
+            if (validation.error) {
+                return { error: validation.error, status: 400 };
+            }
+            if (coupons.list().some(c => c.id !== id && c.code === validation.coupon.code)) {
+                return { error: `Coupon ${validation.coupon.code} already exists`, status: 409 };
+            }
+            const changes = { ...validation.coupon, usedCount: current.usedCount, updatedAt: new Date().toISOString() };
+            return { coupon: coupons.update(id, changes) };
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        res.json(result.coupon);
+    } catch (err) {
+        console.error("Error updating coupon:", { id, error: err.message });
+        res.status(500).json({ message: "Error updating coupon" });
+    }
+});
+
+// Delete a coupon (admin); carts still holding its code show it as not found
+app.delete("/api/coupons/:id", verifyToken, requireRole("admin"), async (req, res) => {
+    const { id } = req.params;
+    try {
+        await snapshotBefore("coupon-delete", req);
+        const coupon = await store.coupons.remove(id);
+        console.log("Coupon deleted:", { code: coupon.code });
+        res.json({ message: `Coupon ${coupon.code} deleted` });
+    } catch (err) {
+        if (err instanceof StorageError && err.status < 500) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        console.error("Error deleting coupon:", { id, error: err.message });
+        res.status(500).json({ message: "Error deleting coupon" });
+    }
+});
+
+// Create a cart (guest, or bound to the logged-in user)
+app.post("/api/carts", optionalToken, async (req, res) => {
+    try {
+        const products = await store.products.list();
+        const pricing = await loadPricing();
+        const result = await store.transaction(["carts"], async ({ carts }) => {
+            if (req.user) {
+                const existingCart = carts.list().find(c => c.userId === req.user.userId);
+                if (existingCart) {
+                    return { cart: buildCartResponse(existingCart, products, pricing), status: 200 };
+                }
+            }
+            const now = new Date().toISOString();
+            const cart = carts.insert({
+                id: crypto.randomUUID(),
+                userId: req.user ? req.user.userId : null,
+                items: [],
+                createdAt: now,
+                updatedAt: now
+            });
+            return { cart: buildCartResponse(cart, products, pricing), status: 201 };
+        });
+        console.log("Cart ready:", { id: result.cart.id, userId: result.cart.userId });
+        res.status(result.status).json(result.cart);
+    } catch (err) {
+        console.error("Error creating cart:", err);
+        res.status(500).json({ message: "Error creating cart" });
+    }
+});
+
+// Get a cart with current prices and totals
+app.get("/api/carts/:id", optionalToken, async (req, res) => {
+    try {
+        const cart = await store.carts.get(req.params.id);
+        if (!cart || !canAccessCart(cart, req.user)) {
+            return res.status(404).json({ message: `Cart with ID ${req.params.id} not found` });
+        }
+        const products = await store.products.list();
+        res.json(buildCartResponse(cart, products, await loadPricing()));
+    } catch (err) {
+        console.error("Error reading cart:", err);
+        res.status(500).json({ message: "Error reading cart" });
+    }
+});
+
+// Add a product to a cart (adds to the quantity if it is already there); products with variants need a sku
+app.post("/api/carts/:id/items", optionalToken, async (req, res) => {
+    const { id } = req.params;
+    const { productId, sku, quantity = 1 } = req.body || {};
+    const parsedQuantity = parseQuantity(quantity);
+    if (!productId || typeof productId !== "string") {
+        return res.status(400).json({ message: "productId is required" });
+    }
+    if (sku !== undefined && typeof sku !== "string") {
+        return res.status(400).json({ message: "sku must be a string" });
+    }
+    if (!parsedQuantity) {
+        return res.status(400).json({ message: "Quantity must be a positive integer" });
+    }
+
+    try {
+        const result = await updateCart(id, req.user, (cart, products) => {
+            const product = products.find(p => p.id === productId.trim());
+            if (!product || product.archived) {
+                return { error: `Product with ID ${productId} not found`, status: 404 };
+            }
+            const purchasable = resolvePurchasable(product, sku);
+            if (purchasable.error) {
+                return purchasable;
+            }
+            const item = findCartLine(cart, sku || product.id);
+            const newQuantity = (item ? item.quantity : 0) + parsedQuantity;
+            if (newQuantity > purchasable.item.stock) {
+                return { error: `Only ${purchasable.item.stock} of ${sku || product.id} in stock`, status: 409 };
+            }
+            if (item) {
+                item.quantity = newQuantity;
+            } else {
+                cart.items.push(sku ? { productId: product.id, sku, quantity: newQuantity } : { productId: product.id, quantity: newQuantity });
+            }
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        res.json(result.cart);
+    } catch (err) {
+        console.error("Error adding cart item:", { id, error: err.message });
+        res.status(500).json({ message: "Error updating cart" });
+    }
+});
+
+// Set the quantity of a cart line (addressed by SKU for variants, product ID otherwise)
+app.patch("/api/carts/:id/items/:productId", optionalToken, async (req, res) => {
+    const { id, productId } = req.params;
+    const parsedQuantity = parseQuantity((req.body || {}).quantity);
+    if (!parsedQuantity) {
+        return res.status(400).json({ message: "Quantity must be a positive integer" });
+    }
+
+    try {
+        const result = await updateCart(id, req.user, (cart, products) => {
+            const item = findCartLine(cart, productId);
+            if (!item) {
+                return { error: `Product ${productId} is not in the cart`, status: 404 };
+            }
+            const product = products.find(p => p.id === item.productId);
+            if (!product || product.archived) {
+                return { error: `Product with ID ${productId} not found`, status: 404 };
+            }
+            const purchasable = resolvePurchasable(product, item.sku);
+            if (purchasable.error) {
+                return purchasable;
+            }
+            if (parsedQuantity > purchasable.item.stock) {
+                return { error: `Only ${purchasable.item.stock} of ${productId} in stock`, status: 409 };
+            }
+            item.quantity = parsedQuantity;
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        res.json(result.cart);
+    } catch (err) {
+        console.error("Error updating cart item:", { id, error: err.message });
+        res.status(500).json({ message: "Error updating cart" });
+    }
+});
+
+// Remove a cart line (addressed by SKU for variants, product ID otherwise)
+app.delete("/api/carts/:id/items/:productId", optionalToken, async (req, res) => {
+    const { id, productId } = req.params;
+    try {
+        const result = await updateCart(id, req.user, (cart) => {
+            const itemIndex = cart.items.indexOf(findCartLine(cart, productId));
+            if (itemIndex === -1) {
+                return { error: `Product ${productId} is not in the cart`, status: 404 };
+            }
+            cart.items.splice(itemIndex, 1);
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        res.json(result.cart);
+    } catch (err) {
+        console.error("Error removing cart item:", { id, error: err.message });
+        res.status(500).json({ message: "Error updating cart" });
+    }
+});
+
+// Apply a coupon code to a cart; it must be usable on the cart as it is now
+app.post("/api/carts/:id/coupon", optionalToken, async (req, res) => {
+    const { id } = req.params;
+    const { code } = req.body || {};
+    if (!code || typeof code !== "string") {
+        return res.status(400).json({ message: "code is required" });
+    }
+    const normalizedCode = code.trim().toUpperCase();
+
+    try {
+        const result = await updateCart(id, req.user, (cart, products, pricing) => {
+            const subtotal = buildCartResponse(cart, products, pricing).subtotal;
+            const problem = getCouponProblem(pricing.coupons.find(c => c.code === normalizedCode), subtotal);
+            if (problem) {
+                return { error: problem, status: 400 };
+            }
+            cart.couponCode = normalizedCode;
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        res.json(result.cart);
+    } catch (err) {
+        console.error("Error applying coupon:", { id, error: err.message });
+        res.status(500).json({ message: "Error updating cart" });
+    }
+});
+
+// Take the coupon off a cart
+app.delete("/api/carts/:id/coupon", optionalToken, async (req, res) => {
+    const { id } = req.params;
+    try {
+        const result = await updateCart(id, req.user, (cart) => {
+            cart.couponCode = null;
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        res.json(result.cart);
+    } catch (err) {
+        console.error("Error removing coupon:", { id, error: err.message });
+        res.status(500).json({ message: "Error updating cart" });
+    }
+});
+
+// Place an order from a cart; stock for every item is taken in one locked write or not at all
+app.post("/api/orders", optionalToken, async (req, res) => {
+    const { cartId, customerName, phone, shippingAddress, note } = req.body || {};
+    if (!cartId || typeof cartId !== "string") {
+        return res.status(400).json({ message: "cartId is required" });
+    }
+    if (!customerName || !phone || !shippingAddress) {
+        return res.status(400).json({ message: "customerName, phone and shippingAddress are required" });
+    }
+
+    try {
+        // Lock order: products → carts → promotions → coupons → orders
+        const result = await store.transaction(["products", "carts", "promotions", "coupons"], async ({ products, carts, promotions, coupons }) => {
+            const cart = carts.get(cartId);
+            if (!cart || !canAccessCart(cart, req.user)) {
+                return { error: `Cart with ID ${cartId} not found`, status: 404 };
+            }
+            if (cart.items.length === 0) {
+                return { error: "Cart is empty", status: 400 };
+            }
+
+            const shortages = [];
+            for (const item of cart.items) {
+                const product = products.get(item.productId);
+                const purchasable = product && !product.archived ? resolvePurchasable(product, item.sku) : null;
+                const available = purchasable && !purchasable.error ? purchasable.item.stock : 0;
+                if (available < item.quantity) {
+                    shortages.push({ productId: item.productId, ...(item.sku ? { sku: item.sku } : {}), requested: item.quantity, available });
+                }
+            }
+            if (shortages.length > 0) {
+                return { error: "Some items are out of stock", status: 409, shortages };
+            }
+
+            const placedAt = new Date();
+            const activePromotions = promotions.list().filter(p => isPromotionActive(p, placedAt));
+            const items = cart.items.map(item => {
+                const product = products.get(item.productId);
+                const purchased = resolvePurchasable(product, item.sku).item;
+                const { price: unitPrice, promotionId } = getItemPricing(purchased, product, activePromotions);
+                return {
+                    productId: product.id,
+                    ...(item.sku ? { sku: item.sku, options: purchased.options, material: purchased.material } : {}),
+                    name: product.name,
+                    quantity: item.quantity,
+                    unitPrice,
+                    promotionId,
+                    lineTotal: unitPrice * item.quantity
+                };
+            });
+            const subtotal = items.reduce((sum, item) => sum + item.lineTotal, 0);
+
+            // Checked before any stock moves: returning an error still commits the transaction
+            let coupon = null;
+            if (cart.couponCode) {
+                coupon = coupons.list().find(c => c.code === cart.couponCode);
+                const problem = getCouponProblem(coupon, subtotal, placedAt);
+                if (problem) {
+                    return { error: `Coupon ${cart.couponCode} cannot be used: ${problem}`, status: 409 };
+                }
+                coupons.update(coupon.id, { usedCount: coupon.usedCount + 1 });
+            }
+            const discount = coupon ? subtotal - applyDiscount(subtotal, coupon) : 0;
+
+            const stockBefore = new Map();
+            for (const item of cart.items) {
+                const product = products.get(item.productId);
+                if (!stockBefore.has(product.id)) {
+                    stockBefore.set(product.id, product);
+                }
+                adjustStock(products, product, item.sku, -item.quantity);
+            }
+
+            const now = placedAt.toISOString();
+            const order = {
+                id: crypto.randomUUID(),
+                userId: cart.userId || null,
+                customerName,
+                phone,
+                shippingAddress,
+                note: note || "",
+                items,
+                subtotal,
+                couponCode: coupon ? coupon.code : null,
+                discount,
+                total: subtotal - discount,
+                status: "pending",
+                statusHistory: [{ status: "pending", at: now, by: req.user ? req.user.userId : null }],
+                createdAt: now,
+                updatedAt: now
+            };
+            await withFileLock("save_order", async () => {
+                const orders = await readJsonArray(ORDERS_FILE);
+                orders.push(order);
+                await fs.writeFile(ORDERS_FILE, JSON.stringify(orders, null, 2));
+            }, ORDERS_FILE);
+
+            carts.remove(cart.id);
+            const stockChanges = [...stockBefore.values()].map(before => ({ before, after: products.get(before.id) }));
+            return { order, stockChanges };
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error, shortages: result.shortages });
+        }
+        console.log("Order placed:", { id: result.order.id, total: result.order.total });
+        for (const change of result.stockChanges) {
+            await auditProductChange({ action: "stock", ...change, userId: req.user ? req.user.userId : null, orderId: result.order.id });
+        }
+        res.status(201).json(result.order);
+    } catch (err) {
+        console.error("Error placing order:", { cartId, error: err.message });
+        res.status(500).json({ message: "Error placing order" });
+    }
+});
+
+// Get a single order
+app.get("/api/orders/:id", optionalToken, async (req, res) => {
+    try {
+        const orders = await readJsonArray(ORDERS_FILE);
+        const order = orders.find(o => o.id === req.params.id);
+        if (!order || !canAccessOrder(order, req.user)) {
+            return res.status(404).json({ message: `Order with ID ${req.params.id} not found` });
+        }
+        res.json(order);
+    } catch (err) {
+        console.error("Error reading order:", err);
+        res.status(500).json({ message: "Error reading order" });
+    }
+});
+
+// List orders (admin/staff), filtered by status, user and creation date
+app.get("/api/orders", verifyToken, requireRole("admin", "staff"), async (req, res) => {
+    const { status, userId, from, to } = req.query;
+    if (status !== undefined && !Object.hasOwn(ORDER_STATUS_TRANSITIONS, status)) {
+        return res.status(400).json({ message: `Invalid status: "${status}". Must be one of: ${Object.keys(ORDER_STATUS_TRANSITIONS).join(", ")}` });
+    }
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return res.status(400).json({ message: "from and to must be valid dates" });
+    }
+
+    try {
+        const orders = await readJsonArray(ORDERS_FILE);
+        const filtered = orders
+            .filter(o => !status || o.status === status)
+            .filter(o => !userId || o.userId === userId)
+            .filter(o => !fromDate || new Date(o.createdAt) >= fromDate)
+            .filter(o => !toDate || new Date(o.createdAt) <= toDate)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        res.json(filtered);
+    } catch (err) {
+        console.error("Error reading orders:", err);
+        res.status(500).json({ message: "Error reading orders" });
+    }
+});
+
+// Change order status (admin/staff); cancelling puts the stock back
+app.patch("/api/orders/:id/status", verifyToken, requireRole("admin", "staff"), async (req, res) => {
+    const { id } = req.params;
+    const { status } = req.body || {};
+    if (!status || !Object.hasOwn(ORDER_STATUS_TRANSITIONS, status)) {
+        return res.status(400).json({ message: `Invalid status: "${status}". Must be one of: ${Object.keys(ORDER_STATUS_TRANSITIONS).join(", ")}` });
+    }
+
+    try {
+        // Same lock order as checkout: products → coupons → orders
+        const result = await store.transaction(["products", "coupons"], ({ products, coupons }) => withFileLock(`update_order_status_${id}`, async () => {
+            const orders = await readJsonArray(ORDERS_FILE);
+            const order = orders.find(o => o.id === id);
+            if (!order) {
+                return { error: `Order with ID ${id} not found`, status: 404 };
+            }
+            if (!ORDER_STATUS_TRANSITIONS[order.status].includes(status)) {
+                return { error: `Cannot change order status from ${order.status} to ${status}`, status: 409 };
+            }
+
+            const stockChanges = status === "cancelled" ? restockOrderItems(products, order) : [];
+            // A cancelled order no longer counts against its coupon's usage limit
+            const coupon = status === "cancelled" && order.couponCode ? coupons.list().find(c => c.code === order.couponCode) : null;
+            if (coupon) {
+                coupons.update(coupon.id, { usedCount: Math.max(0, coupon.usedCount - 1) });
+            }
+
+            const now = new Date().toISOString();
+            order.status = status;
+            order.statusHistory.push({ status, at: now, by: req.user.userId });
+            order.updatedAt = now;
+            await fs.writeFile(ORDERS_FILE, JSON.stringify(orders, null, 2));
+            return { order, stockChanges };
+        }, ORDERS_FILE));
+
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        console.log("Order status updated:", { id, status });
+        for (const change of result.stockChanges) {
+            await auditProductChange({ action: "stock", ...change, userId: req.user.userId, orderId: id });
+        }
+        res.json(result.order);
+    } catch (err) {
+        console.error("Error updating order status:", { id, error: err.message });
+        res.status(500).json({ message: "Error updating order status" });
+    }
+});
+
+// The signed-in user's wishlist, with notices for saved items that are back in stock or cheaper
+app.get("/api/wishlist", verifyToken, async (req, res) => {
+    try {
+        const wishlist = (await store.wishlists.list()).find(w => w.userId === req.user.userId)
+            || { userId: req.user.userId, items: [], updatedAt: null };
+        const products = await store.products.list();
+        res.json(buildWishlistResponse(wishlist, products, await loadActivePromotions()));
+    } catch (err) {
+        console.error("Error reading wishlist:", err);
+        res.status(500).json({ message: "Error reading wishlist" });
+    }
+});
+
+// Save a product (or one variant, by sku) to the wishlist, up to MAX_WISHLIST_ITEMS lines; saving it again changes nothing
+app.post("/api/wishlist/items", verifyToken, async (req, res) => {
+    const { productId, sku } = req.body || {};
+    if (!productId || typeof productId !== "string") {
+        return res.status(400).json({ message: "productId is required" });
+    }
+    if (sku !== undefined && typeof sku !== "string") {
+        return res.status(400).json({ message: "sku must be a string" });
+    }
+
+    try {
+        const result = await updateWishlist(req.user, (items, products, promotions) => {
+            const product = products.find(p => p.id === productId.trim());
+            if (!product || product.archived) {
+                return { error: `Product with ID ${productId} not found`, status: 404 };
+            }
+            const purchasable = resolvePurchasable(product, sku);
+            if (purchasable.error) {
+                return purchasable;
+            }
+            if (!items.some(i => (i.sku || i.productId) === (sku || product.id))) {
+                if (items.length >= MAX_WISHLIST_ITEMS) {
+                    return { error: `A wishlist can hold at most ${MAX_WISHLIST_ITEMS} items`, status: 400 };
+                }
+                const item = { productId: product.id, ...(sku ? { sku } : {}), addedAt: new Date().toISOString() };
+                items.push({ ...item, seen: getWishlistItemState(item, product, promotions) });
+            }
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        res.status(201).json(result.wishlist);
+    } catch (err) {
+        console.error("Error adding wishlist item:", { productId, error: err.message });
+        res.status(500).json({ message: "Error updating wishlist" });
+    }
+});
+
+// Remove a wishlist line (addressed by SKU for variants, product ID otherwise)
+app.delete("/api/wishlist/items/:itemId", verifyToken, async (req, res) => {
+    const { itemId } = req.params;
+    try {
+        const result = await updateWishlist(req.user, (items) => {
+            const index = items.findIndex(i => (i.sku || i.productId) === itemId);
+            if (index === -1) {
+                return { error: `${itemId} is not in the wishlist`, status: 404 };
+            }
+            items.splice(index, 1);
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        res.json(result.wishlist);
+    } catch (err) {
+        console.error("Error removing wishlist item:", { itemId, error: err.message });
+        res.status(500).json({ message: "Error updating wishlist" });
+    }
+});
+
+// Mark the current notices as read: each line remembers today's price and availability
+app.post("/api/wishlist/notices/dismiss", verifyToken, async (req, res) => {
+    try {
+        const result = await updateWishlist(req.user, (items, products, promotions) => {
+            items.forEach((item, index) => {
+                const state = getWishlistItemState(item, products.find(p => p.id === item.productId), promotions);
+                if (state) {
+                    items[index] = { ...item, seen: state };
+                }
+            });
+        });
+        res.json(result.wishlist);
+    } catch (err) {
+        console.error("Error dismissing wishlist notices:", err);
+        res.status(500).json({ message: "Error updating wishlist" });
+    }
+});
+
+// Approved reviews of a product, newest first
+app.get("/api/products/:id/reviews", async (req, res) => {
+    const { id } = req.params;
+    try {
+        const product = await store.products.get(id);
+        if (!product || product.archived) {
+            return res.status(404).json({ message: `Product with ID ${id} not found` });
+        }
+        const reviews = (await store.reviews.list())
+            .filter(r => r.productId === id && r.status === "approved")
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        res.json({ ...summarizeRatings(reviews)(id), reviews: reviews.map(toPublicReview) });
+    } catch (err) {
+        console.error("Error reading reviews:", { id, error: err.message });
+        res.status(500).json({ message: "Error reading reviews" });
+    }
+});
+
+// Review a product: { rating (1-5), title?, body }. Only customers with a paid order for the
+// product may post, once per product; reviews wait for moderation before they are shown.
+app.post("/api/products/:id/reviews", verifyToken, async (req, res) => {
+    const { id } = req.params;
+    const { rating, title, body } = req.body || {};
+    const errors = [];
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        errors.push({ field: "rating", message: "rating must be a whole number from 1 to 5" });
+    }
+    if (title !== undefined && (typeof title !== "string" || title.length > 120)) {
+        errors.push({ field: "title", message: "title must be a string of at most 120 characters" });
+    }
+    if (typeof body !== "string" || !body.trim() || body.length > MAX_REVIEW_LENGTH) {
+        errors.push({ field: "body", message: `body is required (at most ${MAX_REVIEW_LENGTH} characters)` });
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ message: errors.map(e => e.message).join("; "), errors });
+    }
+
+    try {
+        const product = await store.products.get(id);
+        if (!product || product.archived) {
+            return res.status(404).json({ message: `Product with ID ${id} not found` });
+        }
+        const orders = await readJsonArray(ORDERS_FILE);
+        const purchase = orders.find(o => o.userId === req.user.userId &&
+            VERIFIED_PURCHASE_STATUSES.includes(o.status) &&
+            o.items.some(item => item.productId === id));
+        if (!purchase) {
+            return res.status(403).json({ message: "Only customers who have bought this product can review it" });
+        }
+
+        const result = await store.transaction(["reviews"], async ({ reviews }) => {
+            if (reviews.list().some(r => r.productId === id && r.userId === req.user.userId)) {
+                return { error: "You have already reviewed this product", status: 409 };
+            }
+            const now = new Date().toISOString();
+            return {
+                review: reviews.insert({
+                    id: crypto.randomUUID(),
+                    productId: id,
+                    userId: req.user.userId,
+                    username: req.user.username,
+                    orderId: purchase.id,
+                    rating,
+                    title: title ? title.trim() : null,
+                    body: body.trim(),
+                    status: "pending",
+                    createdAt: now,
+                    updatedAt: now
+                })
+            };
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        console.log("Review submitted:", { id: result.review.id, productId: id, userId: req.user.userId });
+        res.status(201).json(result.review);
+    } catch (err) {
+        console.error("Error submitting review:", { id, error: err.message });
+        res.status(500).json({ message: "Error submitting review" });
+    }
+});
+
+// Reviews for moderation (admin), newest first; ?status= defaults to pending
+app.get("/api/reviews", verifyToken, requireRole("admin"), async (req, res) => {
+    const { status = "pending", productId } = req.query;
+    if (!REVIEW_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Invalid status: "${status}". Must be one of: ${REVIEW_STATUSES.join(", ")}` });
+    }
+    try {
+        const reviews = (await store.reviews.list())
+            .filter(r => r.status === status)
+            .filter(r => !productId || r.productId === productId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        res.json(reviews);
+    } catch (err) {
+        console.error("Error reading reviews:", err);
+        res.status(500).json({ message: "Error reading reviews" });
+    }
+});
+
+// Approve or reject a review (admin): { status: "approved" | "rejected", note? }
+app.patch("/api/reviews/:id", verifyToken, requireRole("admin"), async (req, res) => {
+    const { id } = req.params;
+    const { status, note } = req.body || {};
+    if (status !== "approved" && status !== "rejected") {
+        return res.status(400).json({ message: "status must be approved or rejected" });
+    }
+    try {
+        const now = new Date().toISOString();
+        const review = await store.reviews.update(id, {
+            status,
+            moderationNote: typeof note === "string" ? note.trim() : null,
+            moderatedBy: req.user.userId,
+            moderatedAt: now,
+            updatedAt: now
+        });
+        console.log("Review moderated:", { id, status, by: req.user.userId });
+        res.json(review);
+    } catch (err) {
+        if (err instanceof StorageError && err.status < 500) {
+            return res.status(err.status).json({ message: err.message });
+        }
+        console.error("Error moderating review:", { id, error: err.message });
+        res.status(500).json({ message: "Error moderating review" });
+    }
+});
+
+// Delete a review: its author or an admin
+app.delete("/api/reviews/:id", verifyToken, async (req, res) => {
+    const { id } = req.params;
+    const canDelete = review => review && (review.userId === req.user.userId || req.user.role === "admin");
+    try {
+        // Checked before the snapshot too, so requests for other people's reviews never take one
+        if (!canDelete(await store.reviews.get(id))) {
+            return res.status(404).json({ message: `Review with ID ${id} not found` });
+        }
+        await snapshotBefore("review-delete", req);
+        const result = await store.transaction(["reviews"], async ({ reviews }) => {
+            if (!canDelete(reviews.get(id))) {
+                return { error: `Review with ID ${id} not found`, status: 404 };
+            }
+            return { review: reviews.remove(id) };
+        });
+        if (result.error) {
+            return res.status(result.status).json({ message: result.error });
+        }
+        console.log("Review deleted:", { id, by: req.user.userId });
+        res.json({ message: "Review deleted" });
+    } catch (err) {
+        console.error("Error deleting review:", { id, error: err.message });
+        res.status(err.status || 500).json({ message: err.status ? err.message : "Error deleting review" });
+    }
+});
+
+// Diff changes with the values of secret fields (password and token hashes) blanked out
+function redactSnapshotDiff(diff) {
+    for (const { changes } of Object.values(diff).flatMap(collection => collection.changed)) {
+        for (const field of SNAPSHOT_SECRET_FIELDS.filter(field => changes[field])) {
+            changes[field] = { from: "[redacted]", to: "[redacted]" };
+        }
+    }
+    return diff;
+}
+
+// Manifest without the per-file image lists, for listings
+function toSnapshotSummary({ images, missingImages, checksum, ...manifest }) {
+    return { ...manifest, imageCount: images.length, missingImageCount: missingImages.length };
+}
+
+// Snapshots, newest first, and the retention policy in force (admin)
+app.get("/api/snapshots", verifyToken, requireRole("admin"), async (req, res) => {
+    try {
+        res.json({
+            retention: { keepPerReason: SNAPSHOT_KEEP, maxAgeDays: SNAPSHOT_MAX_AGE_DAYS, intervalMinutes: SNAPSHOT_INTERVAL_MINUTES },
+            snapshots: (await snapshots.list()).map(toSnapshotSummary)
+        });
+    } catch (err) {
+        console.error("Error listing snapshots:", err);
+        res.status(500).json({ message: "Error listing snapshots" });
+    }
+});
+
+// Take a snapshot now (admin): { note? }. Nothing new is written when nothing has changed since the latest one.
+app.post("/api/snapshots", verifyToken, requireRole("admin"), async (req, res) => {
+    const { note } = req.body || {};
+    if (note !== undefined && typeof note !== "string") {
+        return res.status(400).json({ message: "note must be a string" });
+    }
+    try {
+        const { snapshot, created } = await takeSnapshot({ reason: "manual", userId: req.user.userId, note: note && note.trim() });
+        res.status(created ? 201 : 200).json({ created, snapshot: toSnapshotSummary(snapshot) });
+    } catch (err) {
+        console.error("Error taking snapshot:", err);
+        res.status(500).json({ message: "Error taking snapshot" });
+    }
+});
+
+app.get("/api/snapshots/:id", verifyToken, requireRole("admin"), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const snapshot = await snapshots.get(id);
+        if (!snapshot) {
+            return res.status(404).json({ message: `Snapshot ${id} not found` });
+        }
+        res.json(snapshot);
+    } catch (err) {
+        console.error("Error reading snapshot:", { id, error: err.message });
+        res.status(500).json({ message: "Error reading snapshot" });
+    }
+});
+
+// What has changed since a snapshot (admin): per collection or file store, records added and removed since,
+// and field changes from the snapshot's values to today's; ?collections= narrows it down
+app.get("/api/snapshots/:id/diff", verifyToken, requireRole("admin"), async (req, res) => {
+    const { id } = req.params;
+    const names = parseListParam(req.query.collections);
+    const unknown = names.find(name => !SNAPSHOT_SOURCES.includes(name));
+    if (unknown) {
+        return res.status(400).json({ message: `Unknown collection: "${unknown}". Must be one of: ${SNAPSHOT_SOURCES.join(", ")}` });
+    }
+    try {
+        const snapshot = await snapshots.get(id);
+        if (!snapshot) {
+            return res.status(404).json({ message: `Snapshot ${id} not found` });
+        }
+        const compared = names.length > 0 ? names : SNAPSHOT_SOURCES;
+        const current = await readSnapshotData();
+        const missingImages = [];
+        for (const filename of snapshot.images) {
+            if (!(await images.exists(`/backend/uploads/${filename}`))) {
+                missingImages.push(filename);
+            }
+        }
+        res.json({
+            snapshot: toSnapshotSummary(snapshot),
+            collections: redactSnapshotDiff(diffCollections(await snapshots.readData(id, compared), current, { keys: SNAPSHOT_DIFF_KEYS })),
+            missingImages
+        });
+    } catch (err) {
+        console.error("Error comparing snapshot:", { id, error: err.message });
+        res.status(500).json({ message: "Error comparing snapshot" });
+    }
+});
+
+// Restore a snapshot (admin): { collections? } limits it to some collections and orders.json, all by default;
+// ones the snapshot predates are skipped, and accounts and tokens are never restored. The data as it was just before is snapshotted first, so a restore
+// can itself be undone. Changed products become new versions in the audit log; images the snapshot needs
+// are put back and get their references again.
+app.post("/api/snapshots/:id/restore", verifyToken, requireRole("admin"), async (req, res) => {
+    const { id } = req.params;
+    const names = parseListParam((req.body || {}).collections);
+    const unknown = names.find(name => !RESTORABLE_SOURCES.includes(name));
+    if (unknown) {
+        const reason = SNAPSHOT_AUTH_SOURCES.includes(unknown) ? "Accounts and tokens cannot be restored" : `Unknown collection: "${unknown}"`;
+        return res.status(400).json({ message: `${reason}. Must be one of: ${RESTORABLE_SOURCES.join(", ")}` });
+    }
+    const requested = RESTORABLE_SOURCES.filter(name => names.length === 0 || names.includes(name));
+
+    let retainedImageUrls = [];
+    try {
+        const snapshot = await snapshots.get(id);
+        if (!snapshot) {
+            return res.status(404).json({ message: `Snapshot ${id} not found` });
+        }
+        // Read before the safety snapshot below, whose retention pass may remove this one
+        const data = await snapshots.readData(id, requested);
+        const restoring = requested.filter(name => data[name]);
+        const collectionNames = restoring.filter(name => COLLECTIONS[name]);
+        const restoredImages = restoring.includes("products") ? await snapshots.restoreImages(snapshot) : [];
+        const safetySnapshot = await snapshotBefore("restore", req);
+
+        // Image references move by the difference between today's galleries and the snapshot's
+        const currentProducts = await store.products.list();
+        const releasedImageUrls = [];
+        if (restoring.includes("products")) {
+            const wanted = countImageReferences(data.products);
+            const held = countImageReferences(currentProducts);
+            for (const imageUrl of new Set([...wanted.keys(), ...held.keys()])) {
+                const delta = (wanted.get(imageUrl) || 0) - (held.get(imageUrl) || 0);
+                for (let i = 0; i < delta; i++) {
+                    await images.retain(imageUrl);
+                    retainedImageUrls.push(imageUrl);
+                }
+                for (let i = 0; i < -delta; i++) {
+                    releasedImageUrls.push(imageUrl);
+                }
+            }
+        }
+        const auditEntries = restoring.includes("products") ? await audit.read() : [];
+        const versionsOf = products => JSON.stringify(products.map(p => [p.id, p.version || 0]));
+
+        const result = await store.transaction(collectionNames, async collections => {
+            const productChanges = [];
+            for (const name of collectionNames) {
+                const handle = collections[name];
+                const previous = new Map(handle.list().map(record => [record.id, record]));
+                if (name === "products" && versionsOf([...previous.values()]) !== versionsOf(currentProducts)) {
+                    return { error: "Products changed while the restore was being prepared; try again", status: 409 };
+                }
+                previous.forEach((record, recordId) => handle.remove(recordId));
+                for (const record of data[name]) {
+                    const current = previous.get(record.id);
+                    if (!COLLECTIONS[name].versioned) {
+                        handle.insert(record);
+                    } else if (current && Object.keys(diffRecords(record, current)).length === 0) {
+                        handle.insert(current);
+                    } else {
+                        const stored = handle.insert({ ...record, version: restoredVersion(record, current, auditEntries) });
+                        productChanges.push({ before: current || null, after: stored });
+                    }
+                }
+                if (COLLECTIONS[name].versioned) {
+                    const restoredIds = new Set(data[name].map(record => record.id));
+                    previous.forEach((record, recordId) => {
+                        if (!restoredIds.has(recordId)) productChanges.push({ before: record, after: null });
+                    });
+                }
+            }
+            // Written while the collections are still locked, so orders and stock come back together
+            for (const name of restoring.filter(name => FILE_STORES[name])) {
+                await withFileLock(`restore_${name}`, () => fs.writeFile(FILE_STORES[name], JSON.stringify(data[name], null, 2)), FILE_STORES[name]);
+            }
+            return { productChanges };
+        });
+        if (result.error) {
+            for (const imageUrl of retainedImageUrls) {
+                await discardUploadedImage(imageUrl);
+            }
+            return res.status(result.status).json({ message: result.error });
+        }
+        retainedImageUrls = [];
+
+        for (const imageUrl of releasedImageUrls) {
+            await images.release(imageUrl);
+        }
+        for (const { before, after } of result.productChanges) {
+            const action = !before ? "create" : !after ? "delete" : "rollback";
+            await auditProductChange({ action, before, after, userId: req.user.userId, restoredFromSnapshot: id });
+        }
+        console.log("Snapshot restored:", { id, collections: restoring, products: result.productChanges.length, by: req.user.userId });
+        res.json({
+            message: "Snapshot restored",
+            snapshot: toSnapshotSummary(snapshot),
+            collections: restoring,
+            skipped: requested.filter(name => !data[name]),
+            productsChanged: result.productChanges.length,
+            restoredImages: restoredImages.length,
+            // Restoring this one undoes the restore
+            previousState: toSnapshotSummary(safetySnapshot)
+        });
+    } catch (err) {
+        for (const imageUrl of retainedImageUrls) {
+            await discardUploadedImage(imageUrl);
+        }
+        console.error("Error restoring snapshot:", { id, error: err.message });
+        res.status(err.status || 500).json({ message: err.message || "Error restoring snapshot" });
+    }
+});
+
+// Request and response shapes for the product routes in /api/docs. The rest of the document
+// (paths, auth, roles) is read from the registered routes; taxonomy fills in the allowed names.
+function describeProductApi(taxonomy) {
+    const json = schema => ({ "application/json": { schema } });
+    const ref = name => ({ $ref: `#/components/schemas/${name}` });
+    const versionField = { version: { type: "integer", description: "Rejected with 409 if the product has moved on" } };
+    const productInput = toJsonSchema(PRODUCT_SCHEMA, { lists: taxonomy });
+    const productUpdate = toJsonSchema(PRODUCT_SCHEMA, { partial: true, lists: taxonomy });
+    const variantInput = toJsonSchema(VARIANT_SCHEMA, { partial: true, lists: taxonomy });
+    const queryParam = (name, description, schema = { type: "string" }) => ({ name, in: "query", required: false, description, schema });
+
+    const schemas = {
+        ProductInput: productInput,
+        ProductUpdate: { ...productUpdate, properties: { ...productUpdate.properties, ...versionField } },
+        VariantInput: {
+            ...variantInput,
+            properties: { options: { type: "object", additionalProperties: { type: "string" }, example: { size: "16" } }, ...variantInput.properties, ...versionField }
+        },
+        Product: {
+            allOf: [productInput, {
+                type: "object",
+                properties: {
+                    id: { type: "string" },
+                    version: { type: "integer" },
+                    imageUrl: { type: "string" },
+                    variants: { type: "array", items: { type: "object" } },
+                    effectivePrice: { type: "number", description: "What the product sells for now: salePrice, else the best running promotion" },
+                    promotionId: { type: "string", nullable: true },
+                    status: { type: "string", enum: PRODUCT_STATUSES },
+                    totalStock: { type: "integer" },
+                    averageRating: { type: "number", nullable: true, description: "Approved reviews only; in listings and product detail" },
+                    reviewCount: { type: "integer" },
+                    priceRange: { type: "object", properties: { min: { type: "number" }, max: { type: "number" } } },
+                    gallery: { type: "array", items: { type: "object" } }
+                }
+            }]
+        },
+        ProductList: {
+            type: "object",
+            properties: {
+                products: { type: "array", items: ref("Product") },
+                total: { type: "integer" },
+                page: { type: "integer" },
+                limit: { type: "integer" },
+                totalPages: { type: "integer" }
+            }
         }
+    };
+
+    const productResponse = { 200: { description: "The product", content: json(ref("Product")) } };
+    const operations = {
+        "GET /api/products": {
+            summary: "Search and list products",
+            parameters: [
+                queryParam("q", "Words to find in the product name; every word must appear"),
+                queryParam("brand", "One or more brands, comma-separated"),
+                queryParam("type", "One or more types, comma-separated"),
+                queryParam("material", "One or more materials, comma-separated"),
+                queryParam("status", `Comma-separated: ${PRODUCT_STATUSES.join(", ")} (archived is staff only)`),
+                queryParam("minPrice", "Lowest effective price", { type: "number" }),
+                queryParam("maxPrice", "Highest effective price", { type: "number" }),
+                queryParam("onSale", "Only products selling below their original price", { type: "boolean" }),
+                queryParam("inStock", "Only products with stock", { type: "boolean" }),
+                queryParam("sort", `One of: ${Object.keys(PRODUCT_SORT_FIELDS).join(", ")}`),
+                queryParam("order", "asc or desc"),
+                queryParam("page", "Page number, from 1", { type: "integer" }),
+                queryParam("limit", "Products per page", { type: "integer" })
+            ],
+            responses: { 200: { description: "A page of products", content: json(ref("ProductList")) } }
+        },
+        "GET /api/products/{id}": { summary: "Get one product", responses: productResponse },
+        "POST /api/products": {
+            summary: "Create a product",
+            requestBody: {
+                required: true,
+                content: {
+                    "multipart/form-data": {
+                        schema: { allOf: [ref("ProductInput"), { type: "object", properties: { image: { type: "string", format: "binary" } }, required: ["image"] }] }
+                    }
+                }
+            },
+            responses: { 201: { description: "The new product", content: json(ref("Product")) } }
+        },
+        "PATCH /api/products/{id}": {
+            summary: "Change some of a product's fields",
+            description: "Send only the fields to change. A multipart request may add an image file, which becomes the primary image.",
+            requestBody: {
+                required: true,
+                content: {
+                    ...json(ref("ProductUpdate")),
+                    "multipart/form-data": { schema: { allOf: [ref("ProductUpdate"), { type: "object", properties: { image: { type: "string", format: "binary" } } }] } }
+                }
+            },
+            responses: productResponse
+        },
+        "POST /api/products/{id}/variants": {
+            summary: "Add a variant",
+            requestBody: { required: true, content: json(ref("VariantInput")) },
+            responses: { 201: { description: "The product with its new variant", content: json(ref("Product")) } }
+        },
+        "PATCH /api/products/{id}/variants/{sku}": {
+            summary: "Change a variant",
+            requestBody: { required: true, content: json(ref("VariantInput")) },
+            responses: productResponse
+        },
+        "POST /api/products/bulk": {
+            summary: "Apply a batch of updates, archivals and stock adjustments",
+            description: "All-or-nothing; preview reports the per-item results without saving. Update changes follow ProductUpdate.",
+            requestBody: {
+                required: true,
+                content: json({
+                    type: "object",
+                    required: ["operations"],
+                    properties: {
+                        preview: { type: "boolean" },
+                        operations: {
+                            type: "array",
+                            items: {
+                                type: "object",
+                                required: ["action"],
+                                properties: {
+                                    action: { type: "string", enum: BULK_ACTIONS },
+                                    id: { type: "string" },
+                                    filter: { type: "object", properties: Object.fromEntries(BULK_FILTER_FIELDS.map(field => [field, { oneOf: [{ type: "string" }, { type: "array", items: { type: "string" } }] }])) },
+                                    version: { type: "integer" },
+                                    changes: ref("ProductUpdate"),
+                                    salePercentOff: { type: "number" },
+                                    sku: { type: "string" },
+                                    delta: { type: "integer" }
+                                }
+                            }
+                        }
+                    }
+                })
+            }
+        },
+        "DELETE /api/products/{id}": { summary: "Archive a product", responses: { 200: { description: "Archived" } } },
+        "GET /api/docs": { summary: "This OpenAPI document" }
+    };
+    return { schemas, operations };
+}
+
+// OpenAPI document for the whole API, generated from the registered routes
+app.get("/api/docs", async (req, res) => {
+    try {
+        const { schemas, operations } = describeProductApi(await loadTaxonomy());
+        res.json(buildOpenApiDocument({
+            router: app.router,
+            info: {
+                title: "Jewelry catalogue API",
+                version: packageInfo.version,
+                description: "Every route is listed with its path parameters, auth and roles, but request and response " +
+                    "schemas are only described for the product routes; the rest are listed without bodies."
+            },
+            auth: { required: verifyToken, optional: optionalToken },
+            components: { schemas },
+            operations
+        }));
     } catch (err) {
-        console.error("Error deleting product:", { id, error: err.message, stack: err.stack });
-        res.status(500).json({ message: "Error deleting product", error: err.message });
+        console.error("Error building API docs:", err);
+        res.status(500).json({ message: "Error building API docs" });
     }
 });
 
 // Start server
 app.listen(PORT, async () => {
     try {
-        await fs.mkdir(UPLOADS_DIR, { recursive: true });
-        try {
-            await fs.access(PRODUCTS_FILE);
-        } catch {
-            await fs.writeFile(PRODUCTS_FILE, JSON.stringify([], null, 2));
-            console.log("Initialized empty products.json");
+        await images.init();
+        await audit.init();
+        await requestLog.init();
+        await snapshots.init();
+        await store.init();
+        await seedTaxonomy();
+        // proper-lockfile can only lock files that exist
+        for (const file of [ORDERS_FILE, USERS_FILE, REFRESH_TOKENS_FILE, REVOKED_TOKENS_FILE]) {
+            try {
+                await fs.access(file);
+            } catch {
+                await fs.writeFile(file, JSON.stringify([], null, 2));
+                console.log(`Initialized empty ${path.basename(file)}`);
+            }
+        }
+        if ((await readJsonArray(USERS_FILE)).length === 0) {
+            console.warn("No user accounts yet; run `npm run create-admin -- <username> <password>` to add the first admin");
+        }
+        await takeSnapshot({ reason: "startup" }).catch(err => console.error("Error taking startup snapshot:", err.message));
+        if (SNAPSHOT_INTERVAL_MINUTES > 0) {
+            setInterval(() => {
+                takeSnapshot({ reason: "scheduled" }).catch(err => console.error("Error taking scheduled snapshot:", err.message));
+            }, SNAPSHOT_INTERVAL_MINUTES * 60 * 1000).unref();
         }
         console.log(`Server running on http://localhost:${PORT}`);
     } catch (err) {
@@ -0,0 +1,200 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { diffRecords } = require("./audit");
+
+const SNAPSHOT_ID = /^[0-9TZ-]+-[a-f0-9]{6}$/;
+
+// Point-in-time copies of the stored collections, one folder per snapshot:
+//   <dir>/<id>/manifest.json, data/<collection>.json, images/<file>
+// Images are hard-linked from the uploads folder (copied where links are not possible); uploads are
+// never rewritten in place, so a link keeps the bytes even after the upload itself is deleted.
+function createSnapshotStore({ dir, uploadsDir, keep, maxAgeDays }) {
+    const folderFor = id => path.join(dir, id);
+    const checksumOf = data => crypto.createHash("sha256").update(JSON.stringify(data)).digest("hex");
+
+    async function linkOrCopy(from, to) {
+        try {
+            await fs.link(from, to);
+        } catch (err) {
+            if (err.code === "ENOENT") throw err;
+            await fs.copyFile(from, to);
+        }
+    }
+
+    async function readManifest(id) {
+        try {
+            return JSON.parse(await fs.readFile(path.join(folderFor(id), "manifest.json"), "utf8"));
+        } catch (err) {
+            if (err.code === "ENOENT") return null;
+            throw err;
+        }
+    }
+
+    async function list() {
+        const manifests = [];
+        for (const id of await fs.readdir(dir)) {
+            // A folder without a manifest is a snapshot that never finished
+            const manifest = SNAPSHOT_ID.test(id) ? await readManifest(id) : null;
+            if (manifest) manifests.push(manifest);
+        }
+        return manifests.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async function remove(id) {
+        await fs.rm(folderFor(id), { recursive: true, force: true });
+    }
+
+    // Keeps the newest `keep` snapshots of each reason, minus any older than maxAgeDays; the newest one
+    // always stays. Counting per reason means a burst of deletes cannot push out the scheduled snapshots.
+    async function prune() {
+        const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+        const keptPerReason = new Map();
+        const removed = [];
+        for (const [index, manifest] of (await list()).entries()) {
+            const kept = keptPerReason.get(manifest.reason) || 0;
+            if (index > 0 && (kept >= keep || Date.parse(manifest.createdAt) < cutoff)) {
+                await remove(manifest.id);
+                removed.push(manifest.id);
+            } else {
+                keptPerReason.set(manifest.reason, kept + 1);
+            }
+        }
+        if (removed.length > 0) {
+            console.log("Pruned snapshots:", removed);
+        }
+        return removed;
+    }
+
+    // Serialized so two snapshots never compare against (or prune) each other half-written
+    let pending = Promise.resolve();
+
+    async function take({ data, imageFiles, reason, userId, note }) {
+        const checksum = checksumOf(data);
+        const [latest] = await list();
+        if (latest && latest.checksum === checksum) {
+            return { snapshot: latest, created: false };
+        }
+
+        const createdAt = new Date().toISOString();
+        const id = `${createdAt.replace(/[:.]/g, "-")}-${crypto.randomBytes(3).toString("hex")}`;
+        const folder = folderFor(id);
+        await fs.mkdir(path.join(folder, "data"), { recursive: true });
+        await fs.mkdir(path.join(folder, "images"));
+        try {
+            for (const [name, records] of Object.entries(data)) {
+                await fs.writeFile(path.join(folder, "data", `${name}.json`), JSON.stringify(records, null, 2));
+            }
+            const images = [];
+            const missingImages = [];
+            for (const filename of [...new Set(imageFiles)]) {
+                try {
+                    await linkOrCopy(path.join(uploadsDir, filename), path.join(folder, "images", filename));
+                    images.push(filename);
+                } catch (err) {
+                    if (err.code !== "ENOENT") throw err;
+                    missingImages.push(filename);
+                }
+            }
+            const manifest = {
+                id,
+                createdAt,
+                reason,
+                userId: userId || null,
+                note: note || null,
+                checksum,
+                counts: Object.fromEntries(Object.entries(data).map(([name, records]) => [name, records.length])),
+                images,
+                missingImages
+            };
+            // Written last: its presence marks the snapshot as complete
+            await fs.writeFile(path.join(folder, "manifest.json"), JSON.stringify(manifest, null, 2));
+            console.log("Snapshot taken:", { id, reason });
+            await prune();
+            return { snapshot: manifest, created: true };
+        } catch (err) {
+            await remove(id);
+            throw err;
+        }
+    }
+
+    return {
+        async init() {
+            await fs.mkdir(dir, { recursive: true });
+        },
+
+        list,
+
+        get(id) {
+            return SNAPSHOT_ID.test(id) ? readManifest(id) : Promise.resolve(null);
+        },
+
+        // data: { collection: records }; imageFiles: filenames in the uploads folder the data refers to.
+        // When nothing has changed since the latest snapshot, that one is returned instead (created: false).
+        take(options) {
+            const result = pending.then(() => take(options));
+            pending = result.catch(() => {});
+            return result;
+        },
+
+        // Records of the named collections. One the snapshot does not have (added after it was taken) is
+        // left out rather than read as empty, so restoring an older snapshot cannot wipe it.
+        async readData(id, names) {
+            const data = {};
+            for (const name of names) {
+                try {
+                    data[name] = JSON.parse(await fs.readFile(path.join(folderFor(id), "data", `${name}.json`), "utf8"));
+                } catch (err) {
+                    if (err.code !== "ENOENT") throw err;
+                }
+            }
+            return data;
+        },
+
+        // Puts snapshot images that have since been deleted back into the uploads folder
+        async restoreImages(manifest) {
+            const restored = [];
+            for (const filename of manifest.images) {
+                try {
+                    await fs.access(path.join(uploadsDir, filename));
+                } catch {
+                    await linkOrCopy(path.join(folderFor(manifest.id), "images", filename), path.join(uploadsDir, filename));
+                    restored.push(filename);
+                }
+            }
+            return restored;
+        },
+
+        prune
+    };
+}
+
+// What differs between a snapshot's records and the current ones, per collection. changes run
+// from the snapshot to now: { field: { from: snapshot value, to: current value } }. Records are matched
+// by id, or by the field keys names for collections without one.
+function diffCollections(snapshotData, currentData, { keys = {} } = {}) {
+    return Object.fromEntries(Object.keys(snapshotData).map(name => {
+        const key = keys[name] || "id";
+        const then = new Map(snapshotData[name].map(record => [record[key], record]));
+        const now = new Map((currentData[name] || []).map(record => [record[key], record]));
+        const changed = [];
+        let unchanged = 0;
+        for (const [id, record] of then) {
+            if (!now.has(id)) continue;
+            const changes = diffRecords(record, now.get(id));
+            if (Object.keys(changes).length > 0) {
+                changed.push({ id, changes });
+            } else {
+                unchanged += 1;
+            }
+        }
+        return [name, {
+            added: [...now.keys()].filter(id => !then.has(id)),
+            removed: [...then.keys()].filter(id => !now.has(id)),
+            changed,
+            unchanged
+        }];
+    }));
+}
+
+module.exports = { createSnapshotStore, diffCollections };
@@ -0,0 +1,24 @@
+// Errors thrown by the storage layer; `status` is the HTTP status a route should answer with
+class StorageError extends Error {
+    constructor(message, status = 500) {
+        super(message);
+        this.name = "StorageError";
+        this.status = status;
+    }
+}
+
+class NotFoundError extends StorageError {
+    constructor(message) {
+        super(message, 404);
+        this.name = "NotFoundError";
+    }
+}
+
+class VersionConflictError extends StorageError {
+    constructor(message) {
+        super(message, 409);
+        this.name = "VersionConflictError";
+    }
+}
+
+module.exports = { StorageError, NotFoundError, VersionConflictError };
@@ -0,0 +1,106 @@
+const path = require("path");
+const { createJsonBackend } = require("./json");
+const { StorageError, NotFoundError, VersionConflictError } = require("./errors");
+
+// Collections kept by the storage layer. Transactions lock them in this order to avoid deadlocks.
+const COLLECTIONS = {
+    products: { file: "products.json", label: "Product", versioned: true },
+    carts: { file: "carts.json", label: "Cart", versioned: false },
+    taxonomy: { file: "taxonomy.json", label: "Taxonomy entry", versioned: false },
+    promotions: { file: "promotions.json", label: "Promotion", versioned: false },
+    coupons: { file: "coupons.json", label: "Coupon", versioned: false },
+    wishlists: { file: "wishlists.json", label: "Wishlist", versioned: false },
+    reviews: { file: "reviews.json", label: "Review", versioned: false }
+};
+
+// CRUD on top of a backend's raw collection; versioned collections get optimistic version checks
+function wrapCollection(name, raw) {
+    const { label, versioned } = COLLECTIONS[name];
+
+    function getExisting(id, expectedVersion) {
+        const current = raw.get(id);
+        if (!current) {
+            throw new NotFoundError(`${label} with ID ${id} not found`);
+        }
+        if (versioned && expectedVersion !== undefined && expectedVersion !== (current.version || 0)) {
+            throw new VersionConflictError(`${label} was modified by another user`);
+        }
+        return current;
+    }
+
+    return {
+        list: () => raw.list(),
+        get: id => raw.get(id),
+        insert(record) {
+            if (!record.id) {
+                throw new StorageError(`${label} ID is required`, 400);
+            }
+            if (raw.get(record.id)) {
+                throw new StorageError(`${label} with ID ${record.id} already exists`, 409);
+            }
+            const stored = versioned ? { ...record, version: record.version || 0 } : { ...record };
+            raw.insert(stored);
+            return stored;
+        },
+        update(id, changes, { expectedVersion } = {}) {
+            const current = getExisting(id, expectedVersion);
+            const updated = { ...current, ...changes, id };
+            if (versioned) {
+                updated.version = (current.version || 0) + 1;
+            }
+            raw.put(updated);
+            return updated;
+        },
+        remove(id, { expectedVersion } = {}) {
+            const current = getExisting(id, expectedVersion);
+            raw.delete(id);
+            return current;
+        }
+    };
+}
+
+// Backend comes from STORAGE_BACKEND ("json", the default, or "sqlite")
+function createStorage({ backend = process.env.STORAGE_BACKEND || "json", dataDir, sqliteFile = process.env.SQLITE_FILE } = {}) {
+    let impl;
+    if (backend === "json") {
+        impl = createJsonBackend({ dataDir, collections: COLLECTIONS });
+    } else if (backend === "sqlite") {
+        const { createSqliteBackend } = require("./sqlite");
+        impl = createSqliteBackend({ file: sqliteFile || path.join(dataDir, "catalogue.sqlite"), collections: COLLECTIONS });
+    } else {
+        throw new StorageError(`Unknown storage backend: "${backend}". Must be json or sqlite`);
+    }
+
+    // fn gets one handle per collection; its changes are saved together when it returns, and dropped if it throws.
+    // Use only these handles inside fn: the repository helpers below would wait for the transaction to end.
+    function transaction(names, fn) {
+        const unknown = names.filter(name => !COLLECTIONS[name]);
+        if (unknown.length > 0) {
+            throw new StorageError(`Unknown collection: ${unknown.join(", ")}`);
+        }
+        const ordered = Object.keys(COLLECTIONS).filter(name => names.includes(name));
+        return impl.transaction(ordered, raws => fn(Object.fromEntries(
+            ordered.map(name => [name, wrapCollection(name, raws[name])])
+        )));
+    }
+
+    function repository(name) {
+        return {
+            list: () => impl.read(name),
+            get: async id => (await impl.read(name)).find(record => record.id === id) || null,
+            create: record => transaction([name], tx => tx[name].insert(record)),
+            update: (id, changes, options) => transaction([name], tx => tx[name].update(id, changes, options)),
+            remove: (id, options) => transaction([name], tx => tx[name].remove(id, options))
+        };
+    }
+
+    return {
+        backend,
+        init: () => impl.init(),
+        close: () => impl.close(),
+        transaction,
+        ...Object.fromEntries(Object.keys(COLLECTIONS).map(name => [name, repository(name)]))
+    };
+}
+
+module.exports = { createStorage, COLLECTIONS, StorageError, NotFoundError, VersionConflictError };
@@ -0,0 +1,125 @@
+const fs = require("fs").promises;
+const path = require("path");
+const lockfile = require("proper-lockfile");
+const { StorageError } = require("./errors");
+
+// One JSON array file per collection, locked with proper-lockfile and written through temp file + rename
+function createJsonBackend({ dataDir, collections }) {
+    const fileFor = name => path.join(dataDir, collections[name].file);
+
+    // proper-lockfile can only lock files that exist
+    async function ensureFile(file) {
+        try {
+            await fs.access(file);
+        } catch {
+            await fs.writeFile(file, JSON.stringify([], null, 2));
+            console.log(`Initialized empty ${path.basename(file)}`);
+        }
+    }
+
+    // A damaged file is reported instead of being reset, so the next write cannot wipe it
+    async function readCollection(name) {
+        const file = fileFor(name);
+        let data;
+        try {
+            data = await fs.readFile(file, "utf8");
+        } catch (err) {
+            if (err.code === "ENOENT") {
+                return [];
+            }
+            throw err;
+        }
+        let records;
+        try {
+            records = JSON.parse(data);
+        } catch (err) {
+            throw new StorageError(`${path.basename(file)} is not valid JSON: ${err.message}`);
+        }
+        if (!Array.isArray(records)) {
+            throw new StorageError(`${path.basename(file)} does not contain an array`);
+        }
+        return records;
+    }
+
+    // Readers never see a half-written file: the rename replaces it in one step
+    async function writeCollection(name, records) {
+        const file = fileFor(name);
+        const tempFile = `${file}.${process.pid}.${Date.now()}.tmp`;
+        try {
+            await fs.writeFile(tempFile, JSON.stringify(records, null, 2));
+            await fs.rename(tempFile, file);
+        } catch (err) {
+            await fs.unlink(tempFile).catch(() => {});
+            throw err;
+        }
+    }
+
+    // Records are copied in and out so callers cannot change stored data without going through put()
+    function createRawCollection(records) {
+        let dirty = false;
+        const indexOf = id => records.findIndex(r => r.id === id);
+        return {
+            records,
+            isDirty: () => dirty,
+            raw: {
+                list: () => records.map(r => structuredClone(r)),
+                get: id => {
+                    const index = indexOf(id);
+                    return index === -1 ? null : structuredClone(records[index]);
+                },
+                insert: record => {
+                    records.push(structuredClone(record));
+                    dirty = true;
+                },
+                put: record => {
+                    records[indexOf(record.id)] = structuredClone(record);
+                    dirty = true;
+                },
+                delete: id => {
+                    records.splice(indexOf(id), 1);
+                    dirty = true;
+                }
+            }
+        };
+    }
+
+    return {
+        async init() {
+            for (const name of Object.keys(collections)) {
+                await ensureFile(fileFor(name));
+            }
+        },
+
+        read: readCollection,
+
+        // Collections are written one after another, so a crash between two writes can leave them out of step
+        async transaction(names, fn) {
+            const releases = [];
+            try {
+                for (const name of names) {
+                    await ensureFile(fileFor(name));
+                    releases.push(await lockfile.lock(fileFor(name), { retries: 10 }));
+                }
+                const state = {};
+                for (const name of names) {
+                    state[name] = createRawCollection(await readCollection(name));
+                }
+                const result = await fn(Object.fromEntries(names.map(name => [name, state[name].raw])));
+                for (const name of names) {
+                    if (state[name].isDirty()) {
+                        await writeCollection(name, state[name].records);
+                    }
+                }
+                return result;
+            } finally {
+                for (const release of releases.reverse()) {
+                    await release();
+                }
+            }
+        },
+
+        async close() {}
+    };
+}
+
+module.exports = { createJsonBackend };
@@ -0,0 +1,78 @@
+// One table per collection holding each record as JSON, keyed by its id
+function createSqliteBackend({ file, collections }) {
+    // Loaded here so the JSON backend works without the native module
+    const Database = require("better-sqlite3");
+    const names = Object.keys(collections);
+    let db = null;
+    let reader = null;
+    let statements = null;
+    let queue = Promise.resolve();
+
+    function prepareStatements(connection) {
+        return Object.fromEntries(names.map(name => [name, {
+            list: connection.prepare(`SELECT data FROM ${name} ORDER BY rowid`),
+            get: connection.prepare(`SELECT data FROM ${name} WHERE id = ?`),
+            insert: connection.prepare(`INSERT INTO ${name} (id, data) VALUES (?, ?)`),
+            put: connection.prepare(`UPDATE ${name} SET data = ? WHERE id = ?`),
+            delete: connection.prepare(`DELETE FROM ${name} WHERE id = ?`)
+        }]));
+    }
+
+    function createRawCollection(name) {
+        const s = statements[name];
+        return {
+            list: () => s.list.all().map(row => JSON.parse(row.data)),
+            get: id => {
+                const row = s.get.get(id);
+                return row ? JSON.parse(row.data) : null;
+            },
+            insert: record => s.insert.run(record.id, JSON.stringify(record)),
+            put: record => s.put.run(JSON.stringify(record), record.id),
+            delete: id => s.delete.run(id)
+        };
+    }
+
+    return {
+        async init() {
+            db = new Database(file);
+            db.pragma("journal_mode = WAL");
+            db.pragma("busy_timeout = 5000");
+            for (const name of names) {
+                db.exec(`CREATE TABLE IF NOT EXISTS ${name} (id TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+            }
+            statements = prepareStatements(db);
+            // Reads use their own connection so they never see a transaction that is still open
+            reader = new Database(file, { readonly: true });
+            reader.pragma("busy_timeout = 5000");
+        },
+
+        async read(name) {
+            return reader.prepare(`SELECT data FROM ${name} ORDER BY rowid`).all().map(row => JSON.parse(row.data));
+        },
+
+        // Transactions may await, so they are queued to keep two of them off the one connection at once
+        transaction(txNames, fn) {
+            const run = queue.then(async () => {
+                db.exec("BEGIN IMMEDIATE");
+                try {
+                    const result = await fn(Object.fromEntries(txNames.map(name => [name, createRawCollection(name)])));
+                    db.exec("COMMIT");
+                    return result;
+                } catch (err) {
+                    db.exec("ROLLBACK");
+                    throw err;
+                }
+            });
+            queue = run.catch(() => {});
+            return run;
+        },
+
+        async close() {
+            await queue;
+            if (reader) reader.close();
+            if (db) db.close();
+        }
+    };
+}
+
+module.exports = { createSqliteBackend };